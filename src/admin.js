@@ -0,0 +1,84 @@
+import { parseUsers, readBasicAuth } from "./auth.js";
+import { mergeStats } from "./stats.js";
+import { mergeClients } from "./limits.js";
+
+// Paths served by the admin view; all of them need admin credentials
+const ADMIN_PATHS = ["/admin", "/admin.html", "/admin/"];
+
+function isAdminPath(pathname) {
+  return pathname === "/admin" || pathname === "/admin.html" || pathname.startsWith("/admin/");
+}
+
+// Whether a request comes from a page on this server. Browsers say where a
+// request comes from with Sec-Fetch-Site (or at least Origin) on every POST,
+// so another site can't get a signed in admin's browser to close
+// connections. Tools like curl send neither and are let through.
+function isSameOrigin(request) {
+  const site = request.headers["sec-fetch-site"];
+  if (site) return site === "same-origin";
+  const { origin } = request.headers;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === request.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Register the admin dashboard and its JSON API. Admins sign in with HTTP
+// Basic credentials from admin.users, separate from the regular users.
+// `collect()` returns one snapshot per server process (cluster worker) and
+// `closeConnection(id, reason)` resolves to whether any process closed it.
+export function registerAdmin(fastify, { options, auth, limits, collect, closeConnection }) {
+  const users = parseUsers(options.users);
+  for (const path of ADMIN_PATHS) auth.exempt(path);
+
+  fastify.addHook("onRequest", async (request, reply) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (!isAdminPath(pathname)) return;
+    if (!options.enabled) {
+      return reply.code(404).send({ error: "Not found" });
+    }
+    if (!readBasicAuth(request.raw, users)) {
+      return reply
+        .code(401)
+        .header("WWW-Authenticate", 'Basic realm="Nova Admin", charset="UTF-8"')
+        .send({ error: "Admin credentials required" });
+    }
+    if (request.method !== "GET" && request.method !== "HEAD" && !isSameOrigin(request)) {
+      return reply.code(403).send({ error: "Cross-site request refused" });
+    }
+  });
+
+  if (!options.enabled) return;
+
+  fastify.get("/admin", (request, reply) => reply.sendFile("admin.html"));
+
+  fastify.get("/admin/api/stats", async () => {
+    const parts = await collect();
+    const stats = mergeStats(parts.map((part) => part.stats));
+    const sum = (field) => parts.reduce((total, part) => total + part.memory[field], 0);
+    return {
+      uptime: Math.floor((Date.now() - stats.startedAt) / 1000),
+      startedAt: stats.startedAt,
+      workers: parts.length,
+      memory: {
+        rss: sum("rss"),
+        heapUsed: sum("heapUsed"),
+        heapTotal: sum("heapTotal"),
+      },
+      totals: stats.totals,
+      connections: parts.flatMap((part) => part.connections),
+      topHosts: stats.topHosts,
+      clients: mergeClients(parts.map((part) => part.clients)),
+      limits,
+    };
+  });
+
+  fastify.post("/admin/api/connections/:id/close", async (request, reply) => {
+    if (!(await closeConnection(request.params.id, "Closed by administrator"))) {
+      return reply.code(404).send({ error: "No such connection" });
+    }
+    return { closed: true };
+  });
+}
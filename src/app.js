@@ -0,0 +1,311 @@
+import { createServer } from "node:http";
+import { createServer as createSecureServer } from "node:https";
+import { fileURLToPath } from "url";
+import { hostname } from "node:os";
+import { dirname, join } from "node:path";
+import { server as wisp, logging } from "@mercuryworkshop/wisp-js/server";
+import Fastify from "fastify";
+import fastifyStatic from "@fastify/static";
+import fastifyCompress from "@fastify/compress";
+
+import { scramjetPath } from "@mercuryworkshop/scramjet/path";
+import { baremuxPath } from "@mercuryworkshop/bare-mux/node";
+import { uvPath } from "@titaniumnetwork-dev/ultraviolet";
+
+import { createAuth } from "./auth.js";
+import { createPolicy } from "./policy.js";
+import { createRelay, clientIp } from "./relay.js";
+import { createLimiter } from "./limits.js";
+import { createStats } from "./stats.js";
+import { registerAdmin } from "./admin.js";
+import { registerMetrics } from "./metrics.js";
+import { registerHealth } from "./health.js";
+import { createEvents } from "./events.js";
+import { createAuditLog } from "./audit.js";
+import { createClusterLink } from "./cluster.js";
+import { createRedirectServer, readCertificate, watchCertificate } from "./tls.js";
+import { registerClientConfig } from "./client-config.js";
+
+const publicPath = fileURLToPath(new URL("./pages/", import.meta.url));
+
+// Compute transport paths manually (these packages are browser-only)
+// We resolve the main export and go up to get the package directory
+const epoxyPath = join(dirname(fileURLToPath(import.meta.resolve("@mercuryworkshop/epoxy-transport"))), "..");
+const libcurlPath = join(dirname(fileURLToPath(import.meta.resolve("@mercuryworkshop/libcurl-transport"))), "..");
+
+// Asset directories served below, checked by /readyz
+const assetPaths = {
+  scramjet: scramjetPath,
+  uv: uvPath,
+  epoxy: join(epoxyPath, "dist"),
+  libcurl: join(libcurlPath, "dist"),
+  baremux: baremuxPath,
+};
+
+// Strip the base path from a raw request URL so the routes below only deal
+// with root-relative URLs. Returns false for URLs outside the base path.
+function stripBasePath(req, basePath) {
+  if (basePath === "/") return true;
+  if (!req.url.startsWith(basePath)) return false;
+  req.url = req.url.slice(basePath.length - 1);
+  return true;
+}
+
+// Start the proxy server, either on its own or as one cluster worker
+export async function startServer(config) {
+  // Cache duration in seconds for static assets
+  const STATIC_CACHE_MAX_AGE = config.cache.staticMaxAge;
+  const IMMUTABLE_CACHE_MAX_AGE = config.cache.immutableMaxAge;
+
+  // Everything is served under the base path, e.g. /nova/wisp/
+  const { basePath } = config;
+  const wispPath = basePath + config.wisp.path.slice(1);
+
+  // Calls that reach every cluster worker (or just this process)
+  const link = createClusterLink();
+
+  // Logging out revokes the session in every worker
+  const auth = createAuth(config.auth, {
+    basePath,
+    onRevoke: (id, expires) => link.call("revokeSession", id, expires),
+  });
+
+  // JSON access and audit log (HTTP requests, upgrades and wisp streams)
+  const audit = createAuditLog(config.log, link.logSink);
+
+  // Every outgoing wisp stream is checked against the client limits and the
+  // destination policy
+  const stats = createStats();
+  const limiter = createLimiter(config.limits);
+  const relay = createRelay({
+    policy: createPolicy({ ...config.policy, allowUdp: config.wisp.allowUdpStreams }),
+    limiter,
+    stats,
+    audit,
+    probeToken: link.secret || undefined,
+  });
+
+  // Wisp Configuration
+  logging.set_level(logging.NONE);
+  Object.assign(wisp.options, {
+    allow_udp_streams: config.wisp.allowUdpStreams,
+    dns_servers: config.wisp.dnsServers,
+  });
+
+  const fastify = Fastify({
+    // Disable logging in production for better performance
+    logger: process.env.NODE_ENV === "development",
+    // Disable request ID generation in production for slightly faster request handling
+    disableRequestLogging: process.env.NODE_ENV !== "development",
+    serverFactory: (handler) => {
+      const server = config.tls.enabled ? createSecureServer(readCertificate(config.tls)) : createServer();
+      return server
+        .on("request", (req, res) => {
+          // Required headers for SharedArrayBuffer (needed by Scramjet)
+          res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+          res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
+          if (stripBasePath(req, basePath)) {
+            handler(req, res);
+            return;
+          }
+          // Send visitors of the bare host or "/nova" to the base path
+          const { pathname } = new URL(req.url, "http://localhost");
+          if (pathname === "/" || pathname + "/" === basePath) {
+            res.writeHead(302, { Location: basePath }).end();
+          } else {
+            res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+          }
+        })
+        .on("upgrade", (req, socket, head) => {
+          const { pathname } = new URL(req.url, "http://localhost");
+          if (!pathname.startsWith(basePath) || !pathname.endsWith(config.wisp.path)) {
+            audit.log("upgrade", { client: clientIp(req), user: null, path: pathname, result: "not_found" });
+            socket.end();
+            return;
+          }
+          // Reject unauthenticated sockets before they reach the wisp server.
+          // The readiness probe authenticates with the relay's own token.
+          const user = auth.identify(req);
+          if (auth.enabled && !user && !relay.isProbe(req)) {
+            audit.log("upgrade", { client: clientIp(req), user: null, path: pathname, result: "unauthorized" });
+            socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+            return;
+          }
+          relay.handleUpgrade(req, socket, head, user);
+        });
+    },
+  });
+
+  // Login, logout and session routes plus the authentication hook
+  auth.register(fastify);
+  audit.register(fastify, { identify: auth.identify, clientIp });
+
+  // Admin dashboard and API (separate admin credentials)
+  registerAdmin(fastify, {
+    options: config.admin,
+    auth,
+    limits: config.limits,
+    collect: () => link.call("snapshot"),
+    closeConnection: async (id, reason) => (await link.call("closeConnection", id, reason)).some(Boolean),
+  });
+
+  // Runtime config script for pages and service workers
+  registerClientConfig(fastify, { basePath, wispPath, options: config.client });
+
+  // Server events for open pages (restart notices)
+  const events = createEvents();
+  events.register(fastify);
+
+  // Health, readiness and version endpoints for orchestrators
+  registerHealth(fastify, {
+    auth,
+    relay,
+    assetPaths,
+    basePath,
+    wispPath,
+    listen: { host: config.host, port: config.port },
+    secure: config.tls.enabled,
+  });
+
+  // Prometheus metrics for HTTP requests and the wisp relay
+  const metrics = registerMetrics(fastify, { options: config.metrics, collect: () => link.call("snapshot") });
+
+  // Enable compression for faster response delivery
+  fastify.register(fastifyCompress, {
+    // Enable Brotli for modern browsers (best compression)
+    encodings: ["br", "gzip", "deflate"],
+    // Only compress responses larger than 1KB
+    threshold: 1024,
+  });
+
+  // Serve public/static files
+  fastify.register(fastifyStatic, {
+    root: publicPath,
+    decorateReply: true,
+    maxAge: STATIC_CACHE_MAX_AGE * 1000, // Convert to milliseconds
+  });
+
+  // Serve Scramjet files with longer cache for WASM files
+  fastify.register(fastifyStatic, {
+    root: assetPaths.scramjet,
+    prefix: "/scram/",
+    decorateReply: false,
+    maxAge: IMMUTABLE_CACHE_MAX_AGE * 1000, // WASM files don't change often
+  });
+
+  // Serve Epoxy transport files
+  fastify.register(fastifyStatic, {
+    root: assetPaths.epoxy,
+    prefix: "/epoxy/",
+    decorateReply: false,
+    maxAge: IMMUTABLE_CACHE_MAX_AGE * 1000,
+  });
+
+  // Serve libcurl transport files (better WebSocket support for games)
+  fastify.register(fastifyStatic, {
+    root: assetPaths.libcurl,
+    prefix: "/libcurl/",
+    decorateReply: false,
+    maxAge: IMMUTABLE_CACHE_MAX_AGE * 1000,
+  });
+
+  // Serve BareMux files
+  fastify.register(fastifyStatic, {
+    root: assetPaths.baremux,
+    prefix: "/baremux/",
+    decorateReply: false,
+    maxAge: IMMUTABLE_CACHE_MAX_AGE * 1000,
+  });
+
+  // Serve Ultraviolet files
+  fastify.register(fastifyStatic, {
+    root: assetPaths.uv,
+    prefix: "/uv/",
+    decorateReply: false,
+    maxAge: IMMUTABLE_CACHE_MAX_AGE * 1000,
+  });
+
+  // What this process contributes to the admin dashboard and /metrics
+  link.handle("snapshot", () => ({
+    pid: process.pid,
+    memory: process.memoryUsage(),
+    stats: stats.snapshot(),
+    connections: Array.from(relay.connections.values(), (connection) => connection.describe()),
+    clients: limiter.snapshot(),
+    http: metrics.snapshot(),
+  }));
+  link.handle("closeConnection", (id, reason) => relay.closeConnection(id, reason));
+  link.handle("revokeSession", (id, expires) => auth.revoke(id, expires));
+  link.handle("shutdown", () => {
+    if (!shuttingDown) shutdown();
+  });
+
+  // Pick up renewed certificates without a restart, and send plain HTTP
+  // visitors to HTTPS
+  let stopWatching = null;
+  let redirectServer = null;
+  if (config.tls.enabled) {
+    stopWatching = watchCertificate(fastify.server, config.tls);
+    if (config.tls.redirectPort) redirectServer = createRedirectServer(config.port);
+  }
+
+  if (!link.clustered) {
+    fastify.server.on("listening", () => {
+      const address = fastify.server.address();
+      const scheme = config.tls.enabled ? "https" : "http";
+      console.log("Nova Proxy Server listening on:");
+      console.log(`  ${scheme}://localhost:${address.port}`);
+      console.log(`  ${scheme}://${hostname()}:${address.port}`);
+      if (redirectServer) console.log(`  (redirecting http on port ${config.tls.redirectPort})`);
+    });
+  }
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  // Stop taking new wisp connections, tell open pages the server is
+  // restarting and give open connections time to finish. A second signal
+  // exits right away.
+  let shuttingDown = false;
+  async function shutdown() {
+    if (shuttingDown) {
+      console.log("Forcing shutdown");
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    const { drainSeconds } = config.shutdown;
+    const open = relay.connections.size;
+    if (open > 0 && drainSeconds > 0) {
+      console.log(`Shutting down server, waiting up to ${drainSeconds}s for ${open} connection(s) to finish...`);
+    } else if (!link.clustered) {
+      console.log("Shutting down server...");
+    }
+    events.broadcast("restarting", { deadline: Date.now() + drainSeconds * 1000 });
+    await relay.drain(drainSeconds * 1000);
+    events.close();
+    stopWatching?.();
+    redirectServer?.close();
+    await fastify.close();
+    await audit.close();
+    process.exit(0);
+  }
+
+  if (link.clustered && config.cluster.sticky) {
+    // The primary owns the listening socket and hands this worker the
+    // connections of the clients that hash to it
+    await fastify.ready();
+    link.handle("connection", (socket) => {
+      fastify.server.emit("connection", socket);
+      socket.resume();
+    });
+  } else {
+    // Cluster workers share the primary's listening socket
+    await fastify.listen({
+      port: config.port,
+      host: config.host,
+    });
+  }
+  redirectServer?.listen(config.tls.redirectPort, config.host);
+  link.ready();
+}
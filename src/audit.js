@@ -0,0 +1,124 @@
+import { createHmac, randomBytes } from "node:crypto";
+import { createWriteStream, existsSync, mkdirSync, readdirSync, renameSync, statSync, unlinkSync } from "node:fs";
+import { basename, dirname, join, resolve } from "node:path";
+
+// "2026-10-19T16" for hourly rotation, "2026-10-19" for daily
+function periodOf(time, rotate) {
+  if (rotate === "hourly") return new Date(time).toISOString().slice(0, 13);
+  if (rotate === "daily") return new Date(time).toISOString().slice(0, 10);
+  return null;
+}
+
+// An append-only file that is renamed to "<file>.<timestamp>" when it grows
+// past maxSize bytes or a new hour/day starts, keeping the newest maxFiles
+class RotatingFile {
+  constructor(path, { maxSize, rotate, maxFiles }) {
+    this.path = path;
+    this.maxSize = maxSize;
+    this.rotate = rotate;
+    this.maxFiles = maxFiles;
+    mkdirSync(dirname(path), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    const existing = existsSync(this.path) ? statSync(this.path) : null;
+    this.size = existing ? existing.size : 0;
+    this.period = periodOf(existing ? existing.mtimeMs : Date.now(), this.rotate);
+    this.stream = createWriteStream(this.path, { flags: "a" });
+    this.stream.on("error", (error) => {
+      console.error(`Failed to write ${this.path}: ${error.message}`);
+    });
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    const period = periodOf(Date.now(), this.rotate);
+    if (this.size > 0 && ((this.maxSize && this.size + bytes > this.maxSize) || period !== this.period)) {
+      this.rotateFile();
+    }
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  rotateFile() {
+    // Writes still queued on the old stream land in the renamed file
+    this.stream.end();
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    renameSync(this.path, `${this.path}.${stamp}`);
+    this.prune();
+    this.open();
+  }
+
+  prune() {
+    if (!this.maxFiles) return;
+    const prefix = basename(this.path) + ".";
+    const rotated = readdirSync(dirname(this.path))
+      .filter((name) => name.startsWith(prefix))
+      .sort();
+    for (const name of rotated.slice(0, -this.maxFiles)) {
+      unlinkSync(join(dirname(this.path), name));
+    }
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+// Open the rotating log file described by the log options
+export function openLogFile(options) {
+  return new RotatingFile(resolve(options.file), options);
+}
+
+// Create the structured access and audit log. Each entry is one JSON line
+// with a time and a type: "http", "upgrade", "connection_close",
+// "stream_open", "stream_close" or "stream_failed". Lines go to `sink`
+// ({ write(line), close() }) if given, otherwise to the log file.
+export function createAuditLog(options, sink = null) {
+  if (!options.enabled) {
+    return { enabled: false, log() {}, register() {}, async close() {} };
+  }
+
+  const file = sink || openLogFile(options);
+  const hashSecret = options.hashSecret || randomBytes(32).toString("hex");
+
+  // Apply the privacy settings to a client address
+  function client(ip) {
+    if (!options.hashIps || !ip) return ip;
+    return createHmac("sha256", hashSecret).update(ip).digest("hex").slice(0, 16);
+  }
+
+  function log(type, fields) {
+    const entry = { time: new Date().toISOString(), type, ...fields };
+    if ("client" in entry) entry.client = client(entry.client);
+    file.write(JSON.stringify(entry) + "\n");
+  }
+
+  // Log every HTTP request once its response is sent. `identify` and
+  // `clientIp` turn a raw request into its user and client address.
+  function register(fastify, { identify, clientIp }) {
+    fastify.addHook("onResponse", async (request, reply) => {
+      const entry = {
+        client: clientIp(request.raw),
+        user: identify(request.raw),
+        method: request.method,
+        route: request.routeOptions.url || null,
+        status: reply.statusCode,
+        duration: Math.round(reply.elapsedTime),
+      };
+      if (!options.dropPaths) {
+        // Leave out the query string, which may hold tokens
+        entry.path = new URL(request.url, "http://localhost").pathname;
+      }
+      log("http", entry);
+    });
+  }
+
+  // Flush and close the log file
+  function close() {
+    return file.close();
+  }
+
+  return { enabled: true, log, register, close };
+}
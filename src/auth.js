@@ -0,0 +1,214 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+const SESSION_COOKIE = "nova_session";
+
+// Paths that stay reachable without a session so users can log in
+const PUBLIC_PATHS = ["/login", "/login.html", "/session"];
+
+// Constant-time string comparison (hashing first evens out the lengths)
+export function safeEqual(a, b) {
+  const hashA = createHash("sha256").update(a).digest();
+  const hashB = createHash("sha256").update(b).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index < 0) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function requestUrl(req) {
+  return new URL(req.url, "http://localhost");
+}
+
+// Turn "name:password" entries into a name -> password map
+export function parseUsers(entries) {
+  return new Map(entries.map((entry) => {
+    const index = entry.indexOf(":");
+    return [entry.slice(0, index), entry.slice(index + 1)];
+  }));
+}
+
+// Check a password against a user map in constant time
+export function checkPassword(users, name, password) {
+  const expected = users.get(name);
+  // Compare against something even for unknown users to keep timing flat
+  return safeEqual(expected ?? "", password) && expected !== undefined;
+}
+
+// Returns the user name from valid HTTP Basic credentials, or null
+export function readBasicAuth(req, users) {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Basic ")) return null;
+  const decoded = Buffer.from(header.slice(6), "base64").toString();
+  const index = decoded.indexOf(":");
+  if (index < 0) return null;
+  const name = decoded.slice(0, index);
+  return checkPassword(users, name, decoded.slice(index + 1)) ? name : null;
+}
+
+// Create the authentication gate for the HTTP server and wisp upgrades.
+// Sessions are stateless signed cookies; logged out session ids are kept in
+// memory until they would have expired anyway. `onRevoke(id, expires)` is
+// called on logout so other processes can revoke the session too.
+// `basePath` is where Nova is mounted; routes see URLs with it stripped.
+export function createAuth(options, { onRevoke, basePath = "/" } = {}) {
+  const enabled = options.mode !== "none";
+  const users = parseUsers(options.users);
+  const revoked = new Map();
+  const publicPaths = [...PUBLIC_PATHS];
+
+  let secret = options.secret;
+  if (enabled && options.mode === "login" && !secret) {
+    secret = randomBytes(32).toString("hex");
+    console.warn("auth.secret is not set, sessions will not survive a restart");
+  }
+
+  function sign(payload) {
+    return createHmac("sha256", secret).update(payload).digest("base64url");
+  }
+
+  function checkToken(token) {
+    return options.tokens.some((entry) => safeEqual(entry, token));
+  }
+
+  function createSession(name) {
+    const session = {
+      id: randomBytes(12).toString("base64url"),
+      user: name,
+      expires: Date.now() + options.sessionMaxAge * 1000,
+    };
+    const payload = Buffer.from(JSON.stringify(session)).toString("base64url");
+    return { session, cookie: payload + "." + sign(payload) };
+  }
+
+  function readSession(req) {
+    const value = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!value) return null;
+    const [payload, signature] = value.split(".");
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+    try {
+      const session = JSON.parse(Buffer.from(payload, "base64url").toString());
+      if (session.expires <= Date.now() || revoked.has(session.id)) return null;
+      return session;
+    } catch {
+      return null;
+    }
+  }
+
+  function revoke(sessionId, sessionExpires) {
+    const now = Date.now();
+    for (const [id, expires] of revoked) {
+      if (expires <= now) revoked.delete(id);
+    }
+    revoked.set(sessionId, sessionExpires);
+  }
+
+  function readToken(req) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ")
+      ? header.slice(7)
+      : requestUrl(req).searchParams.get("token");
+    return token && checkToken(token) ? "token" : null;
+  }
+
+  // Returns the name of the authenticated user for a raw request, or null.
+  // Works for both regular requests and WebSocket upgrades.
+  function identify(req) {
+    if (!enabled) return null;
+    const tokenUser = readToken(req);
+    if (tokenUser) return tokenUser;
+    if (options.mode === "basic") return readBasicAuth(req, users);
+    const session = readSession(req);
+    return session ? session.user : null;
+  }
+
+  function cookieHeader(value, maxAge, secure) {
+    return `${SESSION_COOKIE}=${value}; Path=${basePath}; Max-Age=${maxAge}; HttpOnly; SameSite=Lax` + (secure ? "; Secure" : "");
+  }
+
+  function register(fastify) {
+    fastify.get("/session", (request) => {
+      const session = options.mode === "login" ? readSession(request.raw) : null;
+      return {
+        mode: options.mode,
+        user: identify(request.raw),
+        expires: session ? session.expires : null,
+      };
+    });
+
+    if (!enabled) return;
+
+    fastify.addHook("onRequest", async (request, reply) => {
+      const { pathname } = requestUrl(request.raw);
+      if (publicPaths.some((path) => pathname === path || (path.endsWith("/") && pathname.startsWith(path)))) return;
+
+      const user = identify(request.raw);
+      if (user) {
+        request.user = user;
+        return;
+      }
+
+      if (options.mode === "basic") {
+        return reply
+          .code(401)
+          .header("WWW-Authenticate", 'Basic realm="Nova", charset="UTF-8"')
+          .send("Authentication required");
+      }
+      // Send page loads to the login page, reject everything else
+      const accept = request.headers.accept || "";
+      if (request.method === "GET" && accept.includes("text/html")) {
+        return reply.redirect(basePath + "login?next=" + encodeURIComponent(basePath + request.url.slice(1)));
+      }
+      return reply.code(401).send({ error: "Authentication required" });
+    });
+
+    fastify.get("/login", (request, reply) => {
+      if (options.mode !== "login") return reply.redirect(basePath);
+      return reply.sendFile("login.html");
+    });
+
+    fastify.post("/login", async (request, reply) => {
+      const { username, password } = request.body || {};
+      if (typeof username !== "string" || typeof password !== "string" || !checkPassword(users, username, password)) {
+        // Slow down password guessing a little
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        return reply.code(401).send({ error: "Invalid username or password" });
+      }
+      const { session, cookie } = createSession(username);
+      reply.header("Set-Cookie", cookieHeader(cookie, options.sessionMaxAge, request.protocol === "https"));
+      return { user: session.user, expires: session.expires };
+    });
+
+    fastify.get("/logout", (request, reply) => {
+      if (options.mode === "basic") {
+        // Browsers forget cached Basic credentials after a fresh 401
+        return reply
+          .code(401)
+          .header("WWW-Authenticate", 'Basic realm="Nova", charset="UTF-8"')
+          .send("Logged out");
+      }
+      const session = readSession(request.raw);
+      if (session) {
+        revoke(session.id, session.expires);
+        if (onRevoke) onRevoke(session.id, session.expires);
+      }
+      reply.header("Set-Cookie", cookieHeader("", 0, request.protocol === "https"));
+      return reply.redirect(basePath + "login");
+    });
+  }
+
+  // Let a path (or every path under a prefix ending in "/") skip the gate,
+  // for routes that check credentials of their own
+  function exempt(path) {
+    publicPaths.push(path);
+  }
+
+  return { enabled, identify, register, exempt, revoke };
+}
@@ -0,0 +1,66 @@
+import { readFileSync } from "node:fs";
+
+// uv.config.js as it is on disk, with a placeholder for the base path
+const uvConfigTemplate = readFileSync(new URL("./pages/uv.config.js", import.meta.url), "utf8");
+
+// Setting names used by the pages for the lockable client options
+const SETTING_NAMES = { wispUrl: "wispServer" };
+
+// Serve the runtime config script that pages and service workers load before
+// anything else. It sets `self.__nova$config` with the server's routes
+// (wherever Nova is mounted) and the operator's defaults and locked settings
+// from `client`.
+export function registerClientConfig(fastify, { basePath, wispPath, options }) {
+  const runtimeConfig = {
+    basePath,
+    wispPath,
+    wispUrl: options.wispUrl,
+    transports: {
+      libcurl: basePath + "libcurl/index.mjs",
+      epoxy: basePath + "epoxy/index.mjs",
+    },
+    scramjetPrefix: basePath + "scram/",
+    // Must match uv.config.js
+    uvPrefix: basePath + "service/",
+    // Each container's pages are proxied under containersPrefix + id + "/"
+    containersPrefix: basePath + "containers/",
+    searchEngine: options.searchEngine,
+    swAllowedHostnames: options.swAllowedHostnames,
+    defaults: {
+      proxyEngine: options.proxyEngine,
+      transport: options.transport,
+      usePreferredTransport: options.usePreferredTransport,
+      adBlock: options.adBlock,
+      preserveCookies: options.preserveCookies,
+      history: options.history,
+      searchSuggestions: options.searchSuggestions,
+    },
+    locked: options.locked.map((name) => SETTING_NAMES[name] || name),
+    features: {
+      engineChooser: options.engineChooser,
+    },
+  };
+  const script = `self.__nova$config = ${JSON.stringify(runtimeConfig, null, 2)};\n`;
+
+  fastify.get("/nova-config.js", (request, reply) => {
+    return reply
+      .type("text/javascript; charset=utf-8")
+      .header("Cache-Control", "no-cache")
+      .send(script);
+  });
+
+  // Ultraviolet's config, with the base path written in for the proxied
+  // pages and workers that load it on their own
+  const uvConfigScript = uvConfigTemplate.replace("__NOVA_BASE_PATH__", JSON.stringify(basePath));
+  fastify.get("/uv.config.js", (request, reply) => {
+    return reply
+      .type("text/javascript; charset=utf-8")
+      .header("Cache-Control", "no-cache")
+      .send(uvConfigScript);
+  });
+
+  // The same values for tools and scripts that want JSON
+  fastify.get("/config.json", (request, reply) => {
+    return reply.header("Cache-Control", "no-cache").send(runtimeConfig);
+  });
+}
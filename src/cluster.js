@@ -0,0 +1,263 @@
+import cluster from "node:cluster";
+import { randomBytes } from "node:crypto";
+import { createServer } from "node:net";
+import { cpus, hostname } from "node:os";
+
+import { openLogFile } from "./audit.js";
+
+// How long a cluster-wide call waits for every worker to answer
+const CALL_TIMEOUT_MS = 2000;
+
+// Delay before a crashed worker is replaced, so a worker that fails on
+// startup doesn't restart in a tight loop
+const RESTART_DELAY_MS = 1000;
+
+// How much longer than the drain period the primary waits for workers to
+// exit on shutdown before killing them
+const EXIT_GRACE_MS = 10 * 1000;
+
+// Number of worker processes for the cluster options (0 means one per core)
+export function workerCount(options) {
+  return options.workers === 0 ? cpus().length : options.workers;
+}
+
+// Stable hash of a client address, used to pick its worker
+function hashAddress(address) {
+  let hash = 0;
+  for (let i = 0; i < address.length; i++) {
+    hash = (Math.imul(hash, 31) + address.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+// Run the cluster primary: fork the workers, hand them connections (sticky
+// mode) or let them share the listening socket, relay cluster-wide calls
+// between them, write their audit log lines and restart crashed workers.
+export function startPrimary(config) {
+  const count = workerCount(config.cluster);
+  const { sticky } = config.cluster;
+
+  // Secrets every worker has to agree on. Values left empty in the config
+  // would otherwise be random per worker.
+  const env = { NOVA_CLUSTER_SECRET: randomBytes(32).toString("hex") };
+  if (!config.auth.secret) env.NOVA_AUTH_SECRET = randomBytes(32).toString("hex");
+  if (!config.log.hashSecret) env.NOVA_LOG_HASH_SECRET = randomBytes(32).toString("hex");
+
+  const logFile = config.log.enabled ? openLogFile(config.log) : null;
+
+  // Workers by slot; a restarted worker takes over its slot, so clients
+  // keep hashing to the same place
+  const slots = new Array(count).fill(null);
+  const ready = new Set();
+  const calls = new Map();
+  let nextCall = 0;
+  let shuttingDown = false;
+
+  function fork(slot) {
+    const worker = cluster.fork(env);
+    slots[slot] = worker;
+    worker.on("message", (message) => onMessage(worker, message));
+    worker.on("exit", (code, signal) => {
+      if (slots[slot] === worker) slots[slot] = null;
+      ready.delete(worker.id);
+      for (const call of calls.values()) call.waiting.delete(worker.id);
+      settleCalls();
+      if (shuttingDown) return;
+      console.error(`Worker ${worker.process.pid} exited (${signal || `code ${code}`}), restarting`);
+      setTimeout(() => fork(slot), RESTART_DELAY_MS);
+    });
+  }
+
+  function liveWorkers() {
+    return slots.filter((worker) => worker && worker.isConnected());
+  }
+
+  // Workers that have said they can take connections
+  function readyWorkers() {
+    return liveWorkers().filter((worker) => ready.has(worker.id));
+  }
+
+  function send(worker, message, handle) {
+    if (!worker.isConnected()) return false;
+    worker.send(message, handle);
+    return true;
+  }
+
+  // Run `action` in every worker and answer `caller` with all results
+  function startCall(caller, id, action, args) {
+    const callId = nextCall++;
+    const call = { caller, id, results: [], waiting: new Set() };
+    calls.set(callId, call);
+    for (const worker of liveWorkers()) {
+      if (send(worker, { type: "nova:run", id: callId, action, args })) call.waiting.add(worker.id);
+    }
+    call.timer = setTimeout(() => finishCall(callId), CALL_TIMEOUT_MS);
+    settleCalls();
+  }
+
+  function finishCall(callId) {
+    const call = calls.get(callId);
+    if (!call) return;
+    calls.delete(callId);
+    clearTimeout(call.timer);
+    send(call.caller, { type: "nova:results", id: call.id, results: call.results });
+  }
+
+  function settleCalls() {
+    for (const [callId, call] of calls) {
+      if (call.waiting.size === 0) finishCall(callId);
+    }
+  }
+
+  function onMessage(worker, message) {
+    if (message?.type === "nova:ready") {
+      ready.add(worker.id);
+    } else if (message?.type === "nova:log") {
+      logFile?.write(message.line);
+    } else if (message?.type === "nova:call") {
+      startCall(worker, message.id, message.action, message.args);
+    } else if (message?.type === "nova:result") {
+      const call = calls.get(message.id);
+      if (!call || !call.waiting.delete(worker.id)) return;
+      if (message.result !== null) call.results.push(message.result);
+      settleCalls();
+    }
+  }
+
+  for (let slot = 0; slot < count; slot++) fork(slot);
+
+  let stickyServer = null;
+  if (sticky) {
+    // Accept connections here and pass each socket, unread, to the worker
+    // its client address hashes to
+    stickyServer = createServer({ pauseOnConnect: true }, (socket) => {
+      const workers = readyWorkers();
+      if (!workers.length) {
+        socket.destroy();
+        return;
+      }
+      const worker = workers[hashAddress(socket.remoteAddress || "") % workers.length];
+      send(worker, { type: "nova:run", action: "connection" }, socket);
+    });
+    stickyServer.listen(config.port, config.host, () => printListening(stickyServer.address().port, count, config.tls));
+  } else {
+    let announced = false;
+    cluster.on("listening", (worker, address) => {
+      if (announced) return;
+      announced = true;
+      printListening(address.port, count, config.tls);
+    });
+  }
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  // Tell every worker to drain and wait for them to exit. A second signal
+  // kills the workers right away.
+  async function shutdown() {
+    if (shuttingDown) {
+      console.log("Forcing shutdown");
+      for (const worker of Object.values(cluster.workers)) worker.process.kill("SIGKILL");
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`Shutting down ${liveWorkers().length} worker(s)...`);
+
+    stickyServer?.close();
+    for (const worker of liveWorkers()) send(worker, { type: "nova:run", action: "shutdown" });
+
+    const deadline = Date.now() + config.shutdown.drainSeconds * 1000 + EXIT_GRACE_MS;
+    while (Object.keys(cluster.workers).length && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    for (const worker of Object.values(cluster.workers)) worker.process.kill("SIGKILL");
+    await logFile?.close();
+    process.exit(0);
+  }
+}
+
+function printListening(port, workers, tls) {
+  const scheme = tls.enabled ? "https" : "http";
+  console.log(`Nova Proxy Server listening with ${workers} workers on:`);
+  console.log(`  ${scheme}://localhost:${port}`);
+  console.log(`  ${scheme}://${hostname()}:${port}`);
+  if (tls.enabled && tls.redirectPort) console.log(`  (redirecting http on port ${tls.redirectPort})`);
+}
+
+// Connect this process to the rest of the cluster. `handle(action, fn)`
+// registers what this worker does for an action; `call(action, ...args)`
+// runs the action in every worker and resolves to the list of results.
+// Outside a cluster, `call` runs the local handler only.
+export function createClusterLink() {
+  const clustered = cluster.isWorker;
+  const handlers = new Map();
+  const pending = new Map();
+  let nextCall = 0;
+
+  async function run(action, args) {
+    const handler = handlers.get(action);
+    if (!handler) return null;
+    try {
+      return (await handler(...args)) ?? null;
+    } catch (error) {
+      console.error(`Cluster action "${action}" failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  if (clustered) {
+    process.on("message", async (message, handle) => {
+      if (message?.type === "nova:run") {
+        const result = await run(message.action, handle ? [handle] : message.args || []);
+        if (message.id !== undefined && process.connected) {
+          process.send({ type: "nova:result", id: message.id, result });
+        }
+      } else if (message?.type === "nova:results") {
+        pending.get(message.id)?.(message.results);
+        pending.delete(message.id);
+      }
+    });
+  }
+
+  function handle(action, fn) {
+    handlers.set(action, fn);
+  }
+
+  // Tell the primary this worker can take connections
+  function ready() {
+    if (clustered && process.connected) process.send({ type: "nova:ready" });
+  }
+
+  async function call(action, ...args) {
+    if (!clustered) {
+      const result = await run(action, args);
+      return result === null ? [] : [result];
+    }
+    if (!process.connected) return [];
+    const id = nextCall++;
+    return new Promise((resolve) => {
+      pending.set(id, resolve);
+      process.send({ type: "nova:call", id, action, args });
+    });
+  }
+
+  // Workers send audit log lines to the primary, which owns the log file
+  const logSink = clustered
+    ? {
+        write(line) {
+          if (process.connected) process.send({ type: "nova:log", line });
+        },
+        async close() {},
+      }
+    : null;
+
+  return {
+    clustered,
+    // Shared by all workers, e.g. for the readiness probe token
+    secret: process.env.NOVA_CLUSTER_SECRET || null,
+    logSink,
+    handle,
+    call,
+    ready,
+  };
+}
@@ -0,0 +1,408 @@
+import { existsSync, readFileSync } from "node:fs";
+import { isIP } from "node:net";
+import { extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { parseCidr, parsePortRange } from "./policy.js";
+
+// Config files looked up in the working directory when NOVA_CONFIG is not set
+const CONFIG_FILES = ["nova.config.js", "nova.config.mjs", "nova.config.json"];
+
+// client options that can be locked against changes by users
+const LOCKABLE_SETTINGS = [
+  "wispUrl",
+  "proxyEngine",
+  "transport",
+  "usePreferredTransport",
+  "adBlock",
+  "preserveCookies",
+  "history",
+  "searchSuggestions",
+];
+
+// Every configurable value with its type, default and constraints.
+// Sections are plain objects; options are the objects with a `type`.
+// Each option can be overridden by an environment variable named after its
+// path (wisp.dnsServers -> NOVA_WISP_DNS_SERVERS) unless `env` names another.
+const schema = {
+  host: { type: "string", default: "0.0.0.0" },
+  port: { type: "integer", default: 8080, min: 0, max: 65535, env: "PORT" },
+  // Path Nova is served under, e.g. "/nova/" behind a reverse proxy
+  basePath: { type: "string", default: "/", validate: checkUrlPath },
+  wisp: {
+    // The upgrade handler accepts any request URL under basePath ending
+    // with this path
+    path: { type: "string", default: "/wisp/", validate: checkUrlPath },
+    dnsServers: { type: "list", default: ["1.1.1.1", "1.0.0.1"], validate: checkIpList },
+    allowUdpStreams: { type: "boolean", default: false },
+  },
+  policy: {
+    // Allow loopback, private, link-local and other internal addresses
+    allowPrivate: { type: "boolean", default: false },
+    // Address ranges always allowed, even inside private ranges
+    allowCidrs: { type: "list", default: [], validate: checkCidrList },
+    // Address ranges always denied
+    denyCidrs: { type: "list", default: [], validate: checkCidrList },
+    // Hostname globs ("*.example.com"); when set, only these are reachable
+    allowHosts: { type: "list", default: [] },
+    // Hostname globs that are never reachable
+    denyHosts: { type: "list", default: [] },
+    // Ports or ranges ("443", "8000-8999"); when set, only these are reachable
+    allowPorts: { type: "list", default: [], validate: checkPortList },
+    // Ports or ranges that are never reachable
+    denyPorts: { type: "list", default: [], validate: checkPortList },
+  },
+  limits: {
+    // Count limits per client "ip", or per "user" for authenticated clients
+    key: { type: "string", default: "ip", oneOf: ["ip", "user"] },
+    // Limits below are per client; 0 means unlimited
+    maxConnections: { type: "integer", default: 0, min: 0 },
+    maxStreamsPerConnection: { type: "integer", default: 0, min: 0 },
+    streamsPerMinute: { type: "integer", default: 0, min: 0 },
+    uploadBytesPerSecond: { type: "integer", default: 0, min: 0 },
+    downloadBytesPerSecond: { type: "integer", default: 0, min: 0 },
+  },
+  tls: {
+    // Serve HTTPS instead of HTTP
+    enabled: { type: "boolean", default: false },
+    // PEM certificate (chain) and private key files, reloaded when they change
+    cert: { type: "string", default: "" },
+    key: { type: "string", default: "" },
+    // Generate a self-signed certificate for LAN use when cert and key are
+    // not set (kept in certs/ and reused on later starts)
+    selfSigned: { type: "boolean", default: false },
+    // Also listen for plain HTTP on this port and redirect it to HTTPS
+    // (0 disables)
+    redirectPort: { type: "integer", default: 0, min: 0, max: 65535 },
+  },
+  auth: {
+    // "none" leaves the proxy open, "login" shows a login page backed by a
+    // signed session cookie, "basic" uses HTTP Basic authentication
+    mode: { type: "string", default: "none", oneOf: ["none", "login", "basic"] },
+    // Accounts as "name:password" entries
+    users: { type: "list", default: [], secret: true, validate: checkUserList },
+    // Tokens accepted as "Authorization: Bearer <token>" or "?token=<token>"
+    tokens: { type: "list", default: [], secret: true },
+    // Key used to sign session cookies (random per start when empty)
+    secret: { type: "string", default: "", secret: true },
+    // Session lifetime in seconds
+    sessionMaxAge: { type: "integer", default: 43200, min: 60 },
+  },
+  admin: {
+    // Serve the admin dashboard at /admin
+    enabled: { type: "boolean", default: false },
+    // Admin accounts as "name:password" entries (HTTP Basic)
+    users: { type: "list", default: [], secret: true, validate: checkUserList },
+  },
+  log: {
+    // Write JSON access and audit entries (HTTP requests, upgrades, streams)
+    enabled: { type: "boolean", default: false },
+    // Log file, relative to the working directory
+    file: { type: "string", default: "logs/nova-audit.log" },
+    // Rotate when the file grows past this many bytes (0 for no size limit)
+    maxSize: { type: "integer", default: 10 * 1024 * 1024, min: 0 },
+    // Also rotate every hour or day
+    rotate: { type: "string", default: "daily", oneOf: ["never", "hourly", "daily"] },
+    // Rotated files to keep (0 keeps all of them)
+    maxFiles: { type: "integer", default: 14, min: 0 },
+    // Log a keyed hash of client IPs instead of the address
+    hashIps: { type: "boolean", default: false },
+    // Key for hashIps (random per start when empty, so hashes can't be
+    // matched across restarts)
+    hashSecret: { type: "string", default: "", secret: true },
+    // Log the route of HTTP requests instead of the path, which can carry
+    // proxied URLs
+    dropPaths: { type: "boolean", default: false },
+  },
+  shutdown: {
+    // Seconds open wisp connections get to finish after SIGTERM/SIGINT
+    drainSeconds: { type: "integer", default: 25, min: 0 },
+  },
+  cluster: {
+    // Server processes to run (1 runs everything in one process, 0 starts
+    // one per CPU core)
+    workers: { type: "integer", default: 1, min: 0 },
+    // Send every connection from a client address to the same worker
+    sticky: { type: "boolean", default: true },
+  },
+  metrics: {
+    // Serve Prometheus metrics at /metrics
+    enabled: { type: "boolean", default: false },
+  },
+  client: {
+    // Defaults for the browser settings, used until a user changes them
+    proxyEngine: { type: "string", default: "scramjet", oneOf: ["scramjet", "ultraviolet"] },
+    transport: { type: "string", default: "libcurl", oneOf: ["libcurl", "epoxy"] },
+    // Pick the transport that suits the proxy engine instead of `transport`
+    usePreferredTransport: { type: "boolean", default: true },
+    // Wisp server pages connect to (empty uses this server's wisp path)
+    wispUrl: { type: "string", default: "", validate: checkWispUrl },
+    // Search URL for input that isn't a URL; %s is replaced by the query
+    searchEngine: { type: "string", default: "https://duckduckgo.com/?q=%s", validate: checkSearchTemplate },
+    adBlock: { type: "boolean", default: false },
+    preserveCookies: { type: "boolean", default: true },
+    // Keep a browsing history in the browser (IndexedDB)
+    history: { type: "boolean", default: true },
+    // Suggest searches from the search engine as users type in the address
+    // bar (sends what they type to the engine through the proxy)
+    searchSuggestions: { type: "boolean", default: false },
+    // Ask first-time visitors to choose a proxy engine
+    engineChooser: { type: "boolean", default: true },
+    // Hostnames that may register service workers over plain http
+    swAllowedHostnames: { type: "list", default: ["localhost", "127.0.0.1"] },
+    // Options above that users can't change ("wispUrl", "proxyEngine",
+    // "transport", "usePreferredTransport", "adBlock", "preserveCookies",
+    // "history", "searchSuggestions")
+    locked: { type: "list", default: [], validate: checkLockable },
+  },
+  cache: {
+    // Max-age in seconds for regular static assets
+    staticMaxAge: { type: "integer", default: 3600, min: 0 },
+    // Max-age in seconds for immutable assets like WASM and transports
+    immutableMaxAge: { type: "integer", default: 86400 * 7, min: 0 },
+  },
+};
+
+// Checks that involve more than one option, run after everything resolved
+const constraints = [
+  (config) => {
+    if (config.auth.mode !== "none" && config.auth.users.length === 0) {
+      return `auth.users must not be empty when auth.mode is "${config.auth.mode}"`;
+    }
+    return null;
+  },
+  (config) => {
+    const { enabled, cert, key, selfSigned } = config.tls;
+    if (Boolean(cert) !== Boolean(key)) {
+      return "tls.cert and tls.key must be set together";
+    }
+    if (enabled && !cert && !selfSigned) {
+      return "tls.cert and tls.key must be set when tls.enabled is true (or turn on tls.selfSigned)";
+    }
+    const missing = [cert, key].filter((file) => enabled && file && !existsSync(resolve(file)));
+    return missing.length ? `TLS files do not exist: ${missing.join(", ")}` : null;
+  },
+  (config) => {
+    if (config.admin.enabled && config.admin.users.length === 0) {
+      return "admin.users must not be empty when admin.enabled is true";
+    }
+    return null;
+  },
+];
+
+const types = {
+  string: {
+    parse: (raw) => raw,
+    check: (value) => typeof value === "string",
+    expected: "a string",
+  },
+  integer: {
+    parse: (raw) => (/^-?\d+$/.test(raw.trim()) ? Number(raw) : raw),
+    check: (value) => Number.isInteger(value),
+    expected: "an integer",
+  },
+  boolean: {
+    parse: (raw) => {
+      const value = raw.trim().toLowerCase();
+      if (["true", "1", "yes", "on"].includes(value)) return true;
+      if (["false", "0", "no", "off"].includes(value)) return false;
+      return raw;
+    },
+    check: (value) => typeof value === "boolean",
+    expected: "true or false",
+  },
+  list: {
+    parse: (raw) => raw.split(",").map((item) => item.trim()).filter(Boolean),
+    check: (value) => Array.isArray(value) && value.every((item) => typeof item === "string"),
+    expected: "a list of strings",
+  },
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super("Invalid configuration:\n" + errors.map((error) => "  - " + error).join("\n"));
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+function checkUrlPath(value) {
+  if (!value.startsWith("/") || !value.endsWith("/")) {
+    return "must start and end with a slash";
+  }
+  return null;
+}
+
+function checkWispUrl(value) {
+  return value && !/^wss?:\/\/[^/]/.test(value) ? "must be a ws:// or wss:// URL" : null;
+}
+
+function checkSearchTemplate(value) {
+  if (!/^https?:\/\//.test(value)) return "must be an http:// or https:// URL";
+  return value.includes("%s") ? null : "must contain %s where the query goes";
+}
+
+function checkLockable(value) {
+  const invalid = value.filter((name) => !LOCKABLE_SETTINGS.includes(name));
+  return invalid.length ? "contains options that can't be locked: " + invalid.join(", ") : null;
+}
+
+function checkIpList(value) {
+  const invalid = value.filter((ip) => !isIP(ip));
+  return invalid.length ? "contains invalid IP addresses: " + invalid.join(", ") : null;
+}
+
+function checkCidrList(value) {
+  const invalid = value.filter((entry) => !parseCidr(entry));
+  return invalid.length ? "contains invalid address ranges: " + invalid.join(", ") : null;
+}
+
+function checkPortList(value) {
+  const invalid = value.filter((entry) => !parsePortRange(entry));
+  return invalid.length ? "contains invalid ports: " + invalid.join(", ") : null;
+}
+
+function checkUserList(value) {
+  const invalid = value.filter((entry) => entry.indexOf(":") < 1);
+  return invalid.length ? `has ${invalid.length} entries not in "name:password" form` : null;
+}
+
+function isOption(spec) {
+  return typeof spec.type === "string";
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// wisp.dnsServers -> NOVA_WISP_DNS_SERVERS
+function envName(path) {
+  return "NOVA_" + path.map((key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()).join("_");
+}
+
+function resolveOption(spec, fileValue, env, path, errors) {
+  const name = path.join(".");
+  const type = types[spec.type];
+  const variable = spec.env || envName(path);
+
+  let value = spec.default;
+  let origin = name;
+  if (fileValue !== undefined) {
+    value = fileValue;
+  }
+  if (env[variable] !== undefined && env[variable] !== "") {
+    value = type.parse(env[variable]);
+    origin = variable;
+  }
+
+  if (!type.check(value)) {
+    errors.push(`${origin} must be ${type.expected} (got ${JSON.stringify(value)})`);
+    return spec.default;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push(`${origin} must be at least ${spec.min} (got ${value})`);
+  } else if (spec.max !== undefined && value > spec.max) {
+    errors.push(`${origin} must be at most ${spec.max} (got ${value})`);
+  } else if (spec.oneOf && !spec.oneOf.includes(value)) {
+    errors.push(`${origin} must be one of ${spec.oneOf.join(", ")} (got ${JSON.stringify(value)})`);
+  } else if (spec.validate) {
+    const message = spec.validate(value);
+    if (message) errors.push(`${origin} ${message}`);
+  }
+  return value;
+}
+
+function resolveSection(section, values, env, path, errors) {
+  if (values === undefined) {
+    values = {};
+  } else if (!isPlainObject(values)) {
+    errors.push(`${path.join(".")} must be an object`);
+    values = {};
+  }
+
+  for (const key of Object.keys(values)) {
+    if (!Object.hasOwn(section, key)) {
+      errors.push(`unknown option "${[...path, key].join(".")}"`);
+    }
+  }
+
+  const result = {};
+  for (const [key, spec] of Object.entries(section)) {
+    const keyPath = [...path, key];
+    result[key] = isOption(spec)
+      ? resolveOption(spec, values[key], env, keyPath, errors)
+      : resolveSection(spec, values[key], env, keyPath, errors);
+  }
+  return result;
+}
+
+// Find the config file to use, or null to run on defaults and env vars only
+function findConfigFile(env, cwd) {
+  if (env.NOVA_CONFIG) {
+    const file = resolve(cwd, env.NOVA_CONFIG);
+    if (!existsSync(file)) {
+      throw new ConfigError([`config file ${file} (from NOVA_CONFIG) does not exist`]);
+    }
+    return file;
+  }
+  for (const name of CONFIG_FILES) {
+    const file = resolve(cwd, name);
+    if (existsSync(file)) return file;
+  }
+  return null;
+}
+
+async function readConfigFile(file) {
+  if (extname(file) === ".json") {
+    try {
+      return JSON.parse(readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new ConfigError([`${file} is not valid JSON: ${err.message}`]);
+    }
+  }
+  const module = await import(pathToFileURL(file).href);
+  return module.default;
+}
+
+// Load, merge and validate the server configuration.
+// Precedence is environment variables, then the config file, then defaults.
+// Throws a ConfigError listing every invalid value at once.
+export async function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+  const source = findConfigFile(env, cwd);
+  const values = source ? await readConfigFile(source) : {};
+  if (!isPlainObject(values)) {
+    throw new ConfigError([`${source} must contain (or export) an object`]);
+  }
+
+  const errors = [];
+  const config = resolveSection(schema, values, env, [], errors);
+  if (!errors.length) {
+    for (const constraint of constraints) {
+      const message = constraint(config);
+      if (message) errors.push(message);
+    }
+  }
+  if (errors.length) {
+    throw new ConfigError(errors);
+  }
+  return { config, source };
+}
+
+function printSection(section, values, path) {
+  for (const [key, spec] of Object.entries(section)) {
+    const keyPath = [...path, key];
+    if (!isOption(spec)) {
+      printSection(spec, values[key], keyPath);
+    } else if (spec.secret && values[key].length) {
+      console.log(`  ${keyPath.join(".")} = <redacted>`);
+    } else {
+      console.log(`  ${keyPath.join(".")} = ${JSON.stringify(values[key])}`);
+    }
+  }
+}
+
+// Print the resolved configuration, hiding secret values
+export function printConfig(config, source) {
+  console.log(`Nova configuration (${source || "defaults and environment"}):`);
+  printSection(schema, config, []);
+}
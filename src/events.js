@@ -0,0 +1,54 @@
+// Keeps idle event streams from being cut by proxies in front of the server
+const KEEPALIVE_INTERVAL_MS = 30 * 1000;
+
+// How long pages wait before reconnecting to the event stream
+const RETRY_MS = 3000;
+
+// Server-sent events that tell open pages about server state changes, such
+// as a restart. The last event of each kind is replayed to pages that
+// connect later.
+export function createEvents() {
+  const clients = new Set();
+  const lastEvents = new Map();
+
+  const keepalive = setInterval(() => {
+    for (const res of clients) res.write(": keepalive\n\n");
+  }, KEEPALIVE_INTERVAL_MS);
+  keepalive.unref();
+
+  function format(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  function register(fastify) {
+    fastify.get("/events", (request, reply) => {
+      // Keep the raw response open instead of letting Fastify finish it
+      reply.hijack();
+      const res = reply.raw;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-store",
+        Connection: "keep-alive",
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      for (const [event, data] of lastEvents) res.write(format(event, data));
+      clients.add(res);
+      request.raw.on("close", () => clients.delete(res));
+    });
+  }
+
+  function broadcast(event, data) {
+    lastEvents.set(event, data);
+    const message = format(event, data);
+    for (const res of clients) res.write(message);
+  }
+
+  // End every open event stream so the server can close
+  function close() {
+    clearInterval(keepalive);
+    for (const res of clients) res.end();
+    clients.clear();
+  }
+
+  return { register, broadcast, close };
+}
@@ -0,0 +1,163 @@
+import { stat, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { Duplex } from "node:stream";
+import { connect as connectTls } from "node:tls";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+import { packet } from "@mercuryworkshop/wisp-js/server";
+import { PROBE_HEADER } from "./relay.js";
+
+const { WispPacket, WispBuffer, ConnectPayload, DataPayload, packet_types, stream_types } = packet;
+
+// Orchestrators probe these without credentials
+const HEALTH_PATHS = ["/healthz", "/readyz", "/version"];
+
+// Dependencies whose versions /version reports
+const PROXY_DEPENDENCIES = [
+  "@mercuryworkshop/scramjet",
+  "@titaniumnetwork-dev/ultraviolet",
+  "@mercuryworkshop/epoxy-transport",
+  "@mercuryworkshop/libcurl-transport",
+  "@mercuryworkshop/bare-mux",
+  "@mercuryworkshop/wisp-js",
+];
+
+// How long the wisp loopback check may take before the server counts as not ready
+const PROBE_TIMEOUT_MS = 5000;
+
+const rootPath = fileURLToPath(new URL("../", import.meta.url));
+
+async function readPackageVersion(packagePath) {
+  try {
+    return JSON.parse(await readFile(join(packagePath, "package.json"), "utf8")).version;
+  } catch {
+    return null;
+  }
+}
+
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Open a wisp connection to this server over loopback, open a stream back to
+// the server's port and fetch /healthz through it (over TLS when `secure`)
+function probeWisp({ host, port, basePath, path, token, secure }) {
+  const urlHost = host.includes(":") ? `[${host}]` : host;
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${secure ? "wss" : "ws"}://${urlHost}:${port}${path}`, {
+      headers: { [PROBE_HEADER]: token },
+      // The certificate may be self-signed or not cover loopback
+      rejectUnauthorized: false,
+    });
+    ws.binaryType = "arraybuffer";
+    const timer = setTimeout(() => finish(new Error("timed out")), PROBE_TIMEOUT_MS);
+    let done = false;
+
+    function finish(error) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      ws.terminate();
+      if (error) reject(error);
+      else resolve();
+    }
+
+    function send(type, payload) {
+      ws.send(new WispPacket({ type, stream_id: 1, payload }).serialize().bytes);
+    }
+
+    // The wisp stream as a socket, so TLS can run on top of it
+    const stream = new Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        send(packet_types.DATA, new DataPayload({ data: new WispBuffer(new Uint8Array(chunk)) }));
+        callback();
+      },
+    });
+
+    function request() {
+      const socket = secure ? connectTls({ socket: stream, rejectUnauthorized: false }) : stream;
+      socket.once("data", (data) => {
+        finish(data.toString().startsWith("HTTP/1.1 200") ? null : new Error("unexpected response through the stream"));
+      });
+      socket.on("error", (error) => finish(error));
+      socket.write(`GET ${basePath}healthz HTTP/1.1\r\nHost: ${urlHost}\r\nConnection: close\r\n\r\n`);
+    }
+
+    ws.on("message", (data) => {
+      const message = WispPacket.parse_all(new WispBuffer(new Uint8Array(data)));
+      if (message.stream_id === 0) {
+        // The server's first CONTINUE means the connection is ready
+        if (message.type !== packet_types.CONTINUE) return;
+        send(packet_types.CONNECT, new ConnectPayload({ stream_type: stream_types.TCP, port, hostname: host }));
+        request();
+      } else if (message.type === packet_types.DATA) {
+        stream.push(Buffer.from(message.payload.data.bytes));
+      } else if (message.type === packet_types.CLOSE) {
+        finish(new Error(`stream closed with reason ${message.payload.reason}`));
+      }
+    });
+    ws.on("error", (error) => finish(error));
+    ws.on("close", () => finish(new Error("connection closed")));
+  });
+}
+
+// Register /healthz (the process is up), /readyz (assets and wisp work) and
+// /version. `assetPaths` maps names to the asset directories being served
+// and `wispPath` is the full wisp route, including `basePath`.
+// `listen` is the configured host and port, used when this process doesn't
+// own the listening socket (sticky cluster workers); `secure` means the
+// server speaks HTTPS.
+export function registerHealth(fastify, { auth, relay, assetPaths, basePath, wispPath, listen, secure }) {
+  for (const path of HEALTH_PATHS) auth.exempt(path);
+
+  fastify.get("/healthz", () => ({ status: "ok" }));
+
+  fastify.get("/readyz", async (request, reply) => {
+    const checks = {};
+    const errors = [];
+    if (relay.draining) {
+      reply.code(503);
+      return { ready: false, checks, errors: ["server is shutting down"] };
+    }
+
+    for (const [name, path] of Object.entries(assetPaths)) {
+      checks[name] = await isDirectory(path);
+      if (!checks[name]) errors.push(`${name} assets not found at ${path}`);
+    }
+
+    // Probe over loopback, or the specific address the server is bound to
+    const { address, port } = fastify.server.address() || { address: listen.host, port: listen.port };
+    const host = address === "0.0.0.0" || address === "::" ? "127.0.0.1" : address;
+    try {
+      await probeWisp({ host, port, basePath, path: wispPath, token: relay.probeToken, secure });
+      checks.wisp = true;
+    } catch (error) {
+      checks.wisp = false;
+      errors.push(`wisp loopback stream failed: ${error.message}`);
+    }
+
+    reply.code(errors.length ? 503 : 200);
+    return { ready: errors.length === 0, checks, errors };
+  });
+
+  let versions = null;
+  fastify.get("/version", async () => {
+    if (!versions) {
+      const dependencies = {};
+      for (const name of PROXY_DEPENDENCIES) {
+        dependencies[name] = await readPackageVersion(join(rootPath, "node_modules", name));
+      }
+      versions = {
+        version: await readPackageVersion(rootPath),
+        node: process.version,
+        dependencies,
+      };
+    }
+    return versions;
+  });
+}
@@ -0,0 +1,170 @@
+// How long an idle client's counters are kept after its last connection closed
+const IDLE_CLIENT_TTL_MS = 60 * 1000;
+
+// A token bucket that refills `rate` tokens per second up to `capacity`.
+// Tokens may go negative, which turns into a wait for the caller.
+class TokenBucket {
+  constructor(rate, capacity) {
+    this.rate = rate;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updated = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updated) / 1000) * this.rate);
+    this.updated = now;
+  }
+
+  // Take one token if available, without going into debt
+  tryTake() {
+    this.refill();
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // Take `amount` tokens and return how many ms to wait to pay off the debt
+  take(amount) {
+    this.refill();
+    this.tokens -= amount;
+    return this.tokens < 0 ? Math.ceil((-this.tokens / this.rate) * 1000) : 0;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Create the per-client limiter. Clients are keyed by IP address, or by user
+// name when options.key is "user" and the client is authenticated.
+// A limit of 0 means unlimited.
+export function createLimiter(options) {
+  const clients = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, client] of clients) {
+      if (client.connections === 0 && now - client.lastSeen > IDLE_CLIENT_TTL_MS) {
+        clients.delete(key);
+      }
+    }
+  }, IDLE_CLIENT_TTL_MS);
+  sweep.unref();
+
+  function getClient(key) {
+    let client = clients.get(key);
+    if (!client) {
+      client = {
+        key,
+        connections: 0,
+        streams: 0,
+        bytesUp: 0,
+        bytesDown: 0,
+        rejectedConnections: 0,
+        rejectedStreams: 0,
+        lastSeen: Date.now(),
+        streamRate: options.streamsPerMinute ? new TokenBucket(options.streamsPerMinute / 60, options.streamsPerMinute) : null,
+        upload: options.uploadBytesPerSecond ? new TokenBucket(options.uploadBytesPerSecond, options.uploadBytesPerSecond) : null,
+        download: options.downloadBytesPerSecond ? new TokenBucket(options.downloadBytesPerSecond, options.downloadBytesPerSecond) : null,
+      };
+      clients.set(key, client);
+    }
+    client.lastSeen = Date.now();
+    return client;
+  }
+
+  // Pick the key a client is limited by
+  function keyFor(ip, user) {
+    return options.key === "user" && user ? "user:" + user : ip;
+  }
+
+  // Register a new WebSocket connection, or return false if over the limit
+  function openConnection(key) {
+    const client = getClient(key);
+    if (options.maxConnections && client.connections >= options.maxConnections) {
+      client.rejectedConnections++;
+      return false;
+    }
+    client.connections++;
+    return true;
+  }
+
+  function closeConnection(key) {
+    const client = getClient(key);
+    client.connections = Math.max(0, client.connections - 1);
+  }
+
+  // Check a new stream against the per-connection and per-minute limits.
+  // Returns null if allowed, or the reason it was refused.
+  function openStream(key, connectionStreams) {
+    const client = getClient(key);
+    if (options.maxStreamsPerConnection && connectionStreams >= options.maxStreamsPerConnection) {
+      client.rejectedStreams++;
+      return `more than ${options.maxStreamsPerConnection} streams on one connection`;
+    }
+    if (client.streamRate && !client.streamRate.tryTake()) {
+      client.rejectedStreams++;
+      return `more than ${options.streamsPerMinute} new streams per minute`;
+    }
+    client.streams++;
+    return null;
+  }
+
+  function closeStream(key) {
+    const client = getClient(key);
+    client.streams = Math.max(0, client.streams - 1);
+  }
+
+  // Account for transferred bytes and wait as long as the bandwidth limit needs
+  async function transfer(key, direction, bytes) {
+    const client = getClient(key);
+    const bucket = direction === "up" ? client.upload : client.download;
+    if (direction === "up") client.bytesUp += bytes;
+    else client.bytesDown += bytes;
+    if (!bucket) return;
+    const wait = bucket.take(bytes);
+    if (wait > 0) await sleep(wait);
+  }
+
+  // Current counters for every known client
+  function snapshot() {
+    return Array.from(clients.values(), (client) => ({
+      key: client.key,
+      connections: client.connections,
+      streams: client.streams,
+      bytesUp: client.bytesUp,
+      bytesDown: client.bytesDown,
+      rejectedConnections: client.rejectedConnections,
+      rejectedStreams: client.rejectedStreams,
+      lastSeen: client.lastSeen,
+    }));
+  }
+
+  return {
+    options,
+    keyFor,
+    openConnection,
+    closeConnection,
+    openStream,
+    closeStream,
+    transfer,
+    snapshot,
+  };
+}
+
+// Add up client counters from several processes (cluster workers)
+export function mergeClients(lists) {
+  const clients = new Map();
+  for (const client of lists.flat()) {
+    const total = clients.get(client.key);
+    if (!total) {
+      clients.set(client.key, { ...client });
+      continue;
+    }
+    for (const field of ["connections", "streams", "bytesUp", "bytesDown", "rejectedConnections", "rejectedStreams"]) {
+      total[field] += client[field];
+    }
+    total.lastSeen = Math.max(total.lastSeen, client.lastSeen);
+  }
+  return Array.from(clients.values());
+}
@@ -0,0 +1,129 @@
+import { mergeStats } from "./stats.js";
+
+// Static asset prefixes whose response bytes are counted separately
+const STATIC_PREFIXES = ["/scram/", "/uv/", "/epoxy/", "/libcurl/", "/baremux/"];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+// {method: "GET", status: 200} -> '{method="GET",status="200"}'
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// One metric family in the Prometheus text format. `samples` is a list of
+// [labels, value] pairs.
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join("\n");
+}
+
+// A counter with labels, keyed by its serialized label set
+function createCounter() {
+  const values = new Map();
+  return {
+    inc(labels, amount = 1) {
+      const key = formatLabels(labels);
+      const entry = values.get(key);
+      if (entry) entry[1] += amount;
+      else values.set(key, [labels, amount]);
+    },
+    samples() {
+      return Array.from(values.values());
+    },
+  };
+}
+
+function chunkLength(chunk, encoding) {
+  if (!chunk || typeof chunk === "function") return 0;
+  return typeof chunk === "string" ? Buffer.byteLength(chunk, encoding) : chunk.byteLength;
+}
+
+// Count the bytes written to a raw response, after compression
+function meterResponse(res, onBytes) {
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    onBytes(chunkLength(chunk, encoding));
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    onBytes(chunkLength(chunk, encoding));
+    return end.call(this, chunk, encoding, ...rest);
+  };
+}
+
+// Add up [labels, value] samples from several processes
+function mergeSamples(lists) {
+  const counter = createCounter();
+  for (const [labels, value] of lists.flat()) counter.inc(labels, value);
+  return counter.samples();
+}
+
+// Register the Prometheus /metrics route. HTTP metrics are collected with
+// Fastify hooks; relay metrics come from the per-process snapshots returned
+// by `collect()` (one per cluster worker). Returns this process's HTTP
+// counters for those snapshots.
+export function registerMetrics(fastify, { options, collect }) {
+  if (!options.enabled) return { snapshot: () => null };
+
+  const httpRequests = createCounter();
+  const staticBytes = createCounter();
+
+  fastify.addHook("onRequest", async (request, reply) => {
+    const prefix = STATIC_PREFIXES.find((p) => request.url.startsWith(p));
+    if (prefix) meterResponse(reply.raw, (bytes) => staticBytes.inc({ prefix }, bytes));
+  });
+
+  fastify.addHook("onResponse", async (request, reply) => {
+    httpRequests.inc({
+      method: request.method,
+      // The route pattern, so that URLs don't explode the label set
+      route: request.routeOptions.url || "unmatched",
+      status: reply.statusCode,
+    });
+  });
+
+  function snapshot() {
+    return { requests: httpRequests.samples(), staticBytes: staticBytes.samples() };
+  }
+
+  function render(parts) {
+    const stats = mergeStats(parts.map((part) => part.stats));
+    const connections = parts.flatMap((part) => part.connections);
+    const openStreams = connections.reduce((sum, connection) => sum + connection.streams.length, 0);
+    const failures = Object.entries(stats.failures).map(([reason, count]) => [{ reason }, count]);
+    const rss = parts.reduce((sum, part) => sum + part.memory.rss, 0);
+
+    return [
+      family("nova_http_requests_total", "counter", "HTTP requests by route and status.", mergeSamples(parts.map((part) => part.http.requests))),
+      family("nova_static_bytes_total", "counter", "Bytes served for static asset prefixes.", mergeSamples(parts.map((part) => part.http.staticBytes))),
+      family("nova_websocket_connections", "gauge", "Active WebSocket (wisp) connections.", [[{}, connections.length]]),
+      family("nova_wisp_connections_total", "counter", "Wisp connections accepted.", [[{}, stats.totals.connections]]),
+      family("nova_wisp_streams", "gauge", "Open wisp streams.", [[{}, openStreams]]),
+      family("nova_wisp_streams_opened_total", "counter", "Wisp streams successfully opened.", [[{}, stats.totals.streams]]),
+      family("nova_wisp_stream_failures_total", "counter", "Wisp streams that failed to open, by reason.", failures),
+      family("nova_relay_bytes_total", "counter", "Bytes relayed through wisp streams.", [
+        [{ direction: "up" }, stats.totals.bytesUp],
+        [{ direction: "down" }, stats.totals.bytesDown],
+      ]),
+      family("nova_workers", "gauge", "Server processes reporting these metrics.", [[{}, parts.length]]),
+      family("process_resident_memory_bytes", "gauge", "Resident memory size in bytes, summed over workers.", [[{}, rss]]),
+      family("process_start_time_seconds", "gauge", "Start time of the process in seconds since the epoch.", [
+        [{}, Math.floor(stats.startedAt / 1000)],
+      ]),
+    ].join("\n\n") + "\n";
+  }
+
+  fastify.get("/metrics", async (request, reply) => {
+    const parts = await collect();
+    return reply.type("text/plain; version=0.0.4; charset=utf-8").send(render(parts));
+  });
+
+  return { snapshot };
+}
@@ -0,0 +1,379 @@
+"use strict";
+
+// Bookmarks, shared by the app (index.html), which shows the star and the
+// bookmarks bar, and the bookmarks page. They are kept in localStorage as a
+// tree: the top level is what the bookmarks bar shows, and folders hold
+// their own list in `children`.
+//
+//   bookmark: { id, type: "bookmark", title, url, favicon, addedAt }
+//   folder:   { id, type: "folder", title, children, addedAt }
+
+const BOOKMARKS_KEY = "nova-bookmarks";
+const BOOKMARKS_BAR_KEY = "nova-bookmarks-bar";
+
+// Favicons are stored as data URLs; bigger ones aren't worth the space
+const MAX_BOOKMARK_FAVICON_LENGTH = 32768;
+
+// Format marker for JSON exports
+const BOOKMARKS_JSON_FORMAT = "nova-bookmarks";
+const BOOKMARKS_JSON_VERSION = 1;
+
+function createBookmarkId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function isBookmarkUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+}
+
+function isBookmarkFavicon(favicon) {
+  return (
+    typeof favicon === "string" &&
+    favicon.startsWith("data:image/") &&
+    favicon.length <= MAX_BOOKMARK_FAVICON_LENGTH
+  );
+}
+
+// A clean copy of a bookmark or folder from storage or an import, or null
+// when it isn't one. `keepIds` is false for imports so they can't clash with
+// bookmarks already saved.
+function normalizeBookmark(node, keepIds) {
+  if (node === null || typeof node !== "object") return null;
+  const id = keepIds && typeof node.id === "string" && node.id ? node.id : createBookmarkId();
+  const title = typeof node.title === "string" ? node.title : "";
+  const addedAt = Number.isFinite(node.addedAt) ? node.addedAt : Date.now();
+  if (node.type === "folder" || Array.isArray(node.children)) {
+    const children = Array.isArray(node.children) ? node.children : [];
+    return {
+      id,
+      type: "folder",
+      title: title || "Untitled folder",
+      children: children.map((child) => normalizeBookmark(child, keepIds)).filter(Boolean),
+      addedAt,
+    };
+  }
+  if (typeof node.url !== "string" || !isBookmarkUrl(node.url)) return null;
+  return {
+    id,
+    type: "bookmark",
+    title,
+    url: node.url,
+    favicon: isBookmarkFavicon(node.favicon) ? node.favicon : null,
+    addedAt,
+  };
+}
+
+// The saved bookmarks bar (top level of the tree)
+function getBookmarks() {
+  try {
+    const nodes = JSON.parse(localStorage.getItem(BOOKMARKS_KEY) || "[]");
+    return Array.isArray(nodes) ? nodes.map((node) => normalizeBookmark(node, true)).filter(Boolean) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveBookmarks(nodes) {
+  localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(nodes));
+}
+
+// Call `fn(node, list)` for every bookmark and folder, depth first. Stops
+// and returns the node when `fn` returns true.
+function walkBookmarks(nodes, fn) {
+  for (const node of nodes) {
+    if (fn(node, nodes)) return node;
+    if (node.type === "folder") {
+      const found = walkBookmarks(node.children, fn);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// The list holding the node with `id`, or null
+function findBookmarkList(nodes, id) {
+  let list = null;
+  walkBookmarks(nodes, (node, parent) => {
+    if (node.id !== id) return false;
+    list = parent;
+    return true;
+  });
+  return list;
+}
+
+// The children of folder `folderId`, or the bar for null
+function getFolderList(nodes, folderId) {
+  if (!folderId) return nodes;
+  const folder = walkBookmarks(nodes, (node) => node.id === folderId && node.type === "folder");
+  return folder ? folder.children : nodes;
+}
+
+// Load the tree, let `fn` change it and save it. Returns what `fn` returns.
+function changeBookmarks(fn) {
+  const nodes = getBookmarks();
+  const result = fn(nodes);
+  saveBookmarks(nodes);
+  return result;
+}
+
+function findBookmark(id) {
+  return walkBookmarks(getBookmarks(), (node) => node.id === id);
+}
+
+// The first bookmark for a URL, or null
+function findBookmarkByUrl(url) {
+  return walkBookmarks(getBookmarks(), (node) => node.type === "bookmark" && node.url === url);
+}
+
+// The id of the folder holding a node, or null for the bar
+function findBookmarkFolderId(id) {
+  const folder = walkBookmarks(
+    getBookmarks(),
+    (node) => node.type === "folder" && node.children.some((child) => child.id === id)
+  );
+  return folder ? folder.id : null;
+}
+
+// Add a bookmark { title, url, favicon } at the end of a folder (the bar by
+// default) and return it
+function addBookmark(bookmark, folderId = null) {
+  const node = normalizeBookmark({ ...bookmark, type: "bookmark" }, false);
+  if (!node) throw new Error("Only http and https pages can be bookmarked");
+  changeBookmarks((nodes) => getFolderList(nodes, folderId).push(node));
+  return node;
+}
+
+function addBookmarkFolder(title, folderId = null) {
+  const node = normalizeBookmark({ type: "folder", title }, false);
+  changeBookmarks((nodes) => getFolderList(nodes, folderId).push(node));
+  return node;
+}
+
+// Change the title or URL of a bookmark, or the title of a folder
+function updateBookmark(id, changes) {
+  changeBookmarks((nodes) => {
+    const node = walkBookmarks(nodes, (candidate) => candidate.id === id);
+    if (!node) return;
+    if (typeof changes.title === "string") node.title = changes.title;
+    if (node.type === "bookmark" && typeof changes.url === "string" && isBookmarkUrl(changes.url)) {
+      node.url = changes.url;
+    }
+  });
+}
+
+// Move a bookmark or folder to the end of another folder (the bar for null).
+// A folder can't move into itself.
+function moveBookmark(id, folderId) {
+  changeBookmarks((nodes) => {
+    const list = findBookmarkList(nodes, id);
+    if (!list) return;
+    const node = list.find((candidate) => candidate.id === id);
+    const intoItself =
+      folderId &&
+      (node.id === folderId ||
+        (node.type === "folder" && walkBookmarks(node.children, (child) => child.id === folderId)));
+    if (intoItself) return;
+    list.splice(list.indexOf(node), 1);
+    getFolderList(nodes, folderId).push(node);
+  });
+}
+
+// Delete a bookmark, or a folder with everything in it
+function removeBookmark(id) {
+  changeBookmarks((nodes) => {
+    const list = findBookmarkList(nodes, id);
+    if (list) list.splice(list.findIndex((node) => node.id === id), 1);
+  });
+}
+
+// Store the favicon of every bookmark for a URL, once a visit found one
+function setBookmarkFavicon(url, favicon) {
+  if (!isBookmarkFavicon(favicon)) return false;
+  const nodes = getBookmarks();
+  let changed = false;
+  walkBookmarks(nodes, (node) => {
+    if (node.type === "bookmark" && node.url === url && node.favicon !== favicon) {
+      node.favicon = favicon;
+      changed = true;
+    }
+    return false;
+  });
+  // Most visits aren't to bookmarks, so only write when something changed
+  if (changed) saveBookmarks(nodes);
+  return changed;
+}
+
+// Every folder as { id, title, depth } in tree order, starting with the bar
+// itself (id null)
+function getBookmarkFolders() {
+  const folders = [{ id: null, title: "Bookmarks bar", depth: 0 }];
+  (function addFolders(nodes, depth) {
+    for (const node of nodes) {
+      if (node.type !== "folder") continue;
+      folders.push({ id: node.id, title: node.title, depth });
+      addFolders(node.children, depth + 1);
+    }
+  })(getBookmarks(), 1);
+  return folders;
+}
+
+function isBookmarksBarShown() {
+  return localStorage.getItem(BOOKMARKS_BAR_KEY) === "true";
+}
+
+function setBookmarksBarShown(shown) {
+  localStorage.setItem(BOOKMARKS_BAR_KEY, String(shown));
+}
+
+// Export
+
+function escapeBookmarkHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function writeBookmarkList(nodes, indent) {
+  const lines = [indent + "<DL><p>"];
+  for (const node of nodes) {
+    const addDate = ' ADD_DATE="' + Math.floor(node.addedAt / 1000) + '"';
+    if (node.type === "folder") {
+      const toolbar = node.toolbar ? ' PERSONAL_TOOLBAR_FOLDER="true"' : "";
+      lines.push(indent + "    <DT><H3" + addDate + toolbar + ">" + escapeBookmarkHtml(node.title) + "</H3>");
+      lines.push(writeBookmarkList(node.children, indent + "    "));
+    } else {
+      const icon = node.favicon ? ' ICON="' + escapeBookmarkHtml(node.favicon) + '"' : "";
+      lines.push(
+        indent + '    <DT><A HREF="' + escapeBookmarkHtml(node.url) + '"' + addDate + icon + ">" +
+          escapeBookmarkHtml(node.title || node.url) + "</A>"
+      );
+    }
+  }
+  lines.push(indent + "</DL><p>");
+  return lines.join("\n");
+}
+
+// The bookmarks in the Netscape bookmark file format every browser imports.
+// The bar is written as the toolbar folder so it lands on the other
+// browser's bookmarks bar.
+function exportBookmarksHtml(nodes = getBookmarks()) {
+  const bar = { type: "folder", title: "Bookmarks bar", children: nodes, addedAt: Date.now(), toolbar: true };
+  return [
+    "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+    "<!-- This is an automatically generated file.",
+    "     It will be read and overwritten.",
+    "     DO NOT EDIT! -->",
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    "<TITLE>Bookmarks</TITLE>",
+    "<H1>Bookmarks</H1>",
+    writeBookmarkList([bar], ""),
+    "",
+  ].join("\n");
+}
+
+function exportBookmarksJson(nodes = getBookmarks()) {
+  return JSON.stringify(
+    { format: BOOKMARKS_JSON_FORMAT, version: BOOKMARKS_JSON_VERSION, exportedAt: Date.now(), bookmarks: nodes },
+    null,
+    2
+  );
+}
+
+// Import
+
+// Read the <DT> entries of a Netscape <DL>. Folders are an <H3> followed by
+// their own <DL>; the HTML parser usually nests that <DL> in the <DT>.
+function readBookmarkList(list) {
+  const nodes = [];
+  for (const item of list.querySelectorAll(":scope > dt, :scope > p > dt")) {
+    const heading = item.querySelector(":scope > h3");
+    const link = item.querySelector(":scope > a");
+    const addDate = Number((heading || link || item).getAttribute("add_date"));
+    const addedAt = addDate > 0 ? addDate * 1000 : undefined;
+    if (heading) {
+      let children = item.querySelector(":scope > dl");
+      if (!children && item.nextElementSibling && item.nextElementSibling.tagName === "DL") {
+        children = item.nextElementSibling;
+      }
+      nodes.push({
+        type: "folder",
+        title: heading.textContent.trim(),
+        children: children ? readBookmarkList(children) : [],
+        addedAt,
+        toolbar: heading.hasAttribute("personal_toolbar_folder"),
+      });
+    } else if (link) {
+      nodes.push({
+        type: "bookmark",
+        title: link.textContent.trim(),
+        url: link.getAttribute("href") || "",
+        favicon: link.getAttribute("icon"),
+        addedAt,
+      });
+    }
+  }
+  return nodes;
+}
+
+// Parse a Netscape bookmark file. The toolbar folder's contents become the
+// top level, like the bookmarks bar they came from.
+function parseBookmarksHtml(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const root = doc.querySelector("dl");
+  if (!root) throw new Error("This file has no bookmarks in it");
+  const nodes = [];
+  for (const node of readBookmarkList(root)) {
+    if (node.toolbar) {
+      nodes.unshift(...node.children);
+    } else {
+      nodes.push(node);
+    }
+  }
+  return nodes.map((node) => normalizeBookmark(node, false)).filter(Boolean);
+}
+
+// Parse a JSON export (or a bare list of bookmarks)
+function parseBookmarksJson(text) {
+  const data = JSON.parse(text);
+  let nodes = data;
+  if (!Array.isArray(data)) {
+    if (!data || data.format !== BOOKMARKS_JSON_FORMAT || !Array.isArray(data.bookmarks)) {
+      throw new Error("This isn't a Nova bookmarks file");
+    }
+    if (data.version > BOOKMARKS_JSON_VERSION) {
+      throw new Error("This bookmarks file is from a newer version of Nova");
+    }
+    nodes = data.bookmarks;
+  }
+  return nodes.map((node) => normalizeBookmark(node, false)).filter(Boolean);
+}
+
+// Parse an exported file of either format, going by its contents
+function parseBookmarksFile(text) {
+  return text.trimStart().startsWith("<") ? parseBookmarksHtml(text) : parseBookmarksJson(text);
+}
+
+function countBookmarks(nodes) {
+  let count = 0;
+  walkBookmarks(nodes, (node) => {
+    if (node.type === "bookmark") count++;
+    return false;
+  });
+  return count;
+}
+
+// Add imported bookmarks. With an empty bar they become the bar; otherwise
+// they go in a new "Imported" folder so nothing already there moves.
+function importBookmarks(imported) {
+  changeBookmarks((nodes) => {
+    if (nodes.length === 0) {
+      nodes.push(...imported);
+    } else {
+      nodes.push({ id: createBookmarkId(), type: "folder", title: "Imported", children: imported, addedAt: Date.now() });
+    }
+  });
+  return countBookmarks(imported);
+}
@@ -1,20 +1,25 @@
 "use strict";
 
-// Configuration constants
+// Configuration generated by the server (nova-config.js)
+const NOVA_CONFIG = self.__nova$config;
+
+// Path Nova is served under
+const BASE_PATH = NOVA_CONFIG.basePath;
+
 // Transport paths for different proxy engines
 // libcurl-transport works better with WebSocket-heavy sites (games, etc.)
-const LIBCURL_TRANSPORT_PATH = "/libcurl/index.mjs";
+const LIBCURL_TRANSPORT_PATH = NOVA_CONFIG.transports.libcurl;
 // epoxy-transport for Ultraviolet (broader compatibility)
-const EPOXY_TRANSPORT_PATH = "/epoxy/index.mjs";
+const EPOXY_TRANSPORT_PATH = NOVA_CONFIG.transports.epoxy;
 
 // Scramjet URL prefix for proxy routes
-const SCRAMJET_PREFIX = "/scram/";
+const SCRAMJET_PREFIX = NOVA_CONFIG.scramjetPrefix;
 
 // Ultraviolet URL prefix for proxy routes (must match uv.config.js)
-const UV_PREFIX = "/service/";
+const UV_PREFIX = NOVA_CONFIG.uvPrefix;
 
 // List of hostnames that are allowed to run service workers on http://
-const swAllowedHostnames = ["localhost", "127.0.0.1"];
+const swAllowedHostnames = NOVA_CONFIG.swAllowedHostnames;
 
 // Cache transport configuration to avoid redundant setup
 let transportConfigured = false;
@@ -22,10 +27,21 @@ let lastWispUrl = null;
 let lastTransportPath = null;
 let transportConfigPromise = null;
 
+// How often the wisp servers are probed again while the app is open, which
+// is also how soon a server that went down is noticed
+const WISP_CHECK_INTERVAL_MS = 30000;
+
+// A working server is only swapped for one that answers this much faster,
+// so small latency changes don't switch back and forth
+const WISP_SWITCH_RATIO = 0.7;
+
+// Wisp server in use (see wisp-servers.js)
+let activeWispUrl = null;
+let wispCheckPromise = null;
+
 // Get the appropriate transport path based on settings
-function getTransportPath() {
-  const settings = getSettings();
-  
+function getTransportPath(settings = getSettings()) {
+
   // If using preferred transport, select based on proxy engine
   if (settings.usePreferredTransport) {
     // Use libcurl for Scramjet (better WebSocket support for games)
@@ -37,10 +53,24 @@ function getTransportPath() {
   return settings.transport === "epoxy" ? EPOXY_TRANSPORT_PATH : LIBCURL_TRANSPORT_PATH;
 }
 
+// Point BareMux at a transport and wisp server
+async function setTransport(transportPath, wispUrl) {
+  // Use 'websocket' parameter for libcurl, 'wisp' for epoxy
+  if (transportPath === LIBCURL_TRANSPORT_PATH) {
+    await connection.setTransport(transportPath, [{ websocket: wispUrl }]);
+  } else {
+    await connection.setTransport(transportPath, [{ wisp: wispUrl }]);
+  }
+}
+
 // Shared function to configure transport (with deduplication)
-async function ensureTransportConfigured() {
-  const wispUrl = getWispUrl();
-  const transportPath = getTransportPath();
+async function ensureTransportConfigured(transportPath = getTransportPath()) {
+  // Pick the best wisp server before the first connection
+  if (!transportConfigured) {
+    await checkWispServers();
+  }
+
+  let wispUrl = getWispUrl();
   
   // If already configured with the same URL and transport, return immediately
   if (transportConfigured && lastWispUrl === wispUrl && lastTransportPath === transportPath) {
@@ -58,11 +88,15 @@ async function ensureTransportConfigured() {
     try {
       const currentTransport = await connection.getTransport();
       if (currentTransport !== transportPath || lastWispUrl !== wispUrl) {
-        // Use 'websocket' parameter for libcurl, 'wisp' for epoxy
-        if (transportPath === LIBCURL_TRANSPORT_PATH) {
-          await connection.setTransport(transportPath, [{ websocket: wispUrl }]);
-        } else {
-          await connection.setTransport(transportPath, [{ wisp: wispUrl }]);
+        try {
+          await setTransport(transportPath, wispUrl);
+        } catch (err) {
+          // Fail over to another server if one answers
+          const fallback = await checkWispServers();
+          if (fallback === wispUrl) throw err;
+          console.warn("Nova: Failed to use wisp server " + wispUrl + ", switching to " + fallback, err);
+          wispUrl = fallback;
+          await setTransport(transportPath, wispUrl);
         }
       }
       transportConfigured = true;
@@ -76,34 +110,67 @@ async function ensureTransportConfigured() {
   await transportConfigPromise;
 }
 
-// Get settings from localStorage
-function getSettings() {
-  return {
-    wispServer: localStorage.getItem("nova-wisp-server") || "",
-    proxyEngine: localStorage.getItem("nova-proxy-engine") || "scramjet",
-    adBlock: localStorage.getItem("nova-ad-block") === "true",
-    // Preserve cookies defaults to true if not set
-    preserveCookies: localStorage.getItem("nova-preserve-cookies") !== "false",
-    // Use preferred transport defaults to true if not set
-    usePreferredTransport: localStorage.getItem("nova-use-preferred-transport") !== "false",
-    // Transport defaults to libcurl
-    transport: localStorage.getItem("nova-transport") || "libcurl",
-  };
+// Get the Wisp URL in use, the first server in the list until one is picked
+function getWispUrl() {
+  const servers = getWispServers();
+  if (!servers.includes(activeWispUrl)) {
+    activeWispUrl = servers[0];
+  }
+  return activeWispUrl;
 }
 
-// Get the Wisp URL (custom or default)
-function getWispUrl() {
-  const settings = getSettings();
-  if (settings.wispServer) {
-    return settings.wispServer;
-  }
-  return (
-    (location.protocol === "https:" ? "wss" : "ws") +
-    "://" +
-    location.host +
-    "/wisp/"
-  );
+// Probe the wisp servers and switch when the one in use is down. Resolves
+// with the server to use as soon as that's known: the one in use once it
+// answers, or else whichever other server answers first. The other probes
+// carry on in the background (see switchToFasterWispServer).
+async function checkWispServers() {
+  if (!wispCheckPromise) {
+    wispCheckPromise = (async () => {
+      const current = getWispUrl();
+      const servers = getWispServers();
+      const probes = probeWispServers(servers);
+      Promise.all(probes).then(switchToFasterWispServer);
+      const status = await probes[servers.indexOf(current)];
+      if (!status.ok) {
+        const up = await firstWispServerUp(probes);
+        if (up) {
+          activeWispUrl = up.url;
+        } else {
+          console.warn("Nova: No wisp server is reachable");
+        }
+      }
+      localStorage.setItem(WISP_ACTIVE_KEY, activeWispUrl);
+      return activeWispUrl;
+    })().finally(() => {
+      wispCheckPromise = null;
+    });
+  }
+  return wispCheckPromise;
+}
+
+// Once every probe is back, move to a server that answered much faster than
+// the one in use. The transport follows on the next check.
+function switchToFasterWispServer(results) {
+  const best = pickWispServer(results);
+  const status = results.find((result) => result.url === activeWispUrl);
+  if (best && status && status.ok && best.latency < status.latency * WISP_SWITCH_RATIO) {
+    activeWispUrl = best.url;
+    localStorage.setItem(WISP_ACTIVE_KEY, activeWispUrl);
+  }
+}
+
+// Keep checking the servers so a dropped one is replaced without waiting for
+// a page to fail
+async function monitorWispServers() {
+  if (!transportConfigured) return;
+  const current = await checkWispServers();
+  if (current !== lastWispUrl) {
+    console.warn("Nova: Switched wisp server to " + current);
+    await ensureTransportConfigured(lastTransportPath);
+  }
 }
+setInterval(monitorWispServers, WISP_CHECK_INTERVAL_MS);
+window.addEventListener("online", monitorWispServers);
 
 // Encode a URL through the proxy for loading resources like favicons
 // This allows external resources to be loaded through the proxy
@@ -148,32 +215,20 @@ async function registerScramjetSW() {
     }
     throw new Error("Your browser doesn't support service workers.");
   }
-  await navigator.serviceWorker.register("/sw.js");
+  await navigator.serviceWorker.register(BASE_PATH + "sw.js");
 }
 
-// Register the service worker for Ultraviolet
-async function registerUltravioletSW() {
-  if (!navigator.serviceWorker) {
-    if (
-      location.protocol !== "https:" &&
-      !swAllowedHostnames.includes(location.hostname)
-    ) {
-      throw new Error("Service workers cannot be registered without https.");
-    }
-    throw new Error("Your browser doesn't support service workers.");
-  }
-  
-  // Check if Ultraviolet config is available
-  if (typeof __uv$config === "undefined") {
-    throw new Error("Ultraviolet configuration not loaded. Please refresh the page.");
-  }
-  
-  // Register the UV service worker with the service prefix scope
-  const registration = await navigator.serviceWorker.register("/uv-sw.js", {
-    scope: __uv$config.prefix,
+// Register Scramjet's service worker again for a container's path, so the
+// container's pages get cookies of their own (see sw.js)
+async function registerContainerSW(containerId) {
+  const registration = await navigator.serviceWorker.register(BASE_PATH + "sw.js", {
+    scope: getContainerScope(containerId),
   });
-  
-  // Wait for the service worker to be active
+  await waitForServiceWorker(registration);
+}
+
+// Wait for a service worker registration to be active
+async function waitForServiceWorker(registration) {
   if (registration.active) {
     return;
   }
@@ -196,6 +251,30 @@ async function registerUltravioletSW() {
   }
 }
 
+// Register the service worker for Ultraviolet
+async function registerUltravioletSW() {
+  if (!navigator.serviceWorker) {
+    if (
+      location.protocol !== "https:" &&
+      !swAllowedHostnames.includes(location.hostname)
+    ) {
+      throw new Error("Service workers cannot be registered without https.");
+    }
+    throw new Error("Your browser doesn't support service workers.");
+  }
+  
+  // Check if Ultraviolet config is available
+  if (typeof __uv$config === "undefined") {
+    throw new Error("Ultraviolet configuration not loaded. Please refresh the page.");
+  }
+  
+  // Register the UV service worker with the service prefix scope
+  const registration = await navigator.serviceWorker.register(BASE_PATH + "uv-sw.js", {
+    scope: __uv$config.prefix,
+  });
+  await waitForServiceWorker(registration);
+}
+
 // Search helper - converts input to URL or search query
 function search(input, template) {
   try {
@@ -217,18 +296,38 @@ function search(input, template) {
 // Initialize Scramjet controller
 const { ScramjetController } = $scramjetLoadController();
 
+// Path Scramjet proxies pages under, outside containers
+const SCRAMJET_PAGE_PREFIX = BASE_PATH + "scramjet/";
+
 const scramjet = new ScramjetController({
+  prefix: SCRAMJET_PAGE_PREFIX,
   files: {
-    wasm: "/scram/scramjet.wasm.wasm",
-    all: "/scram/scramjet.all.js",
-    sync: "/scram/scramjet.sync.js",
+    wasm: BASE_PATH + "scram/scramjet.wasm.wasm",
+    all: BASE_PATH + "scram/scramjet.all.js",
+    sync: BASE_PATH + "scram/scramjet.sync.js",
   },
 });
 
 scramjet.init();
 
 // Initialize BareMux connection
-const connection = new BareMux.BareMuxConnection("/baremux/worker.js");
+const connection = new BareMux.BareMuxConnection(BASE_PATH + "baremux/worker.js");
+
+// Client for requests the app itself makes through the transport
+const bareClient = new BareMux.BareClient(BASE_PATH + "baremux/worker.js");
+
+// Search suggestions for the address bar from an engine's suggestion API,
+// fetched through the proxy transport. Empty when the user turned them off
+// (for the active tab's container) or the engine has none.
+async function fetchSearchSuggestions(engine, query) {
+  const activeTabId = typeof window.getActiveTabId === "function" ? window.getActiveTabId() : undefined;
+  if (!getSettings(getTabContainerId(activeTabId)).searchSuggestions || !engine.suggestUrl) return [];
+  // Use whichever transport the pages are on, rather than switching it
+  if (!transportConfigured) await ensureTransportConfigured();
+  const response = await bareClient.fetch(getSearchUrl({ template: engine.suggestUrl }, query));
+  if (!response.ok) return [];
+  return parseSearchSuggestions(await response.json());
+}
 
 // Store reference to current scramjet frame
 let currentFrame = null;
@@ -480,6 +579,37 @@ const NAVIGATION_CHECK_DELAY_MS = 50;
 // Track pending favicon retries to prevent overlapping attempts
 const pendingFaviconRetries = new Map();
 
+// Last visit recorded in each tab. Further updates for the same page fill in
+// its title and favicon instead of adding visits.
+const lastVisits = new Map();
+
+// Save a visit in the browsing history (history-store.js)
+function recordPageVisit(tabId, url, title, favicon) {
+  if (!url || !/^https?:/.test(url)) return;
+  const last = lastVisits.get(tabId);
+  if (last && last.url === url) {
+    const changes = {};
+    if (title && title !== last.title) changes.title = last.title = title;
+    if (favicon && favicon !== last.favicon) changes.favicon = last.favicon = favicon;
+    if (last.id !== null && Object.keys(changes).length > 0) {
+      updateVisit(last.id, changes).catch((err) => console.warn("Failed to update history:", err));
+    }
+    return;
+  }
+
+  const visit = { id: null, url, title: title || "", favicon: favicon || null };
+  lastVisits.set(tabId, visit);
+  recordVisit(visit, getTabContainerId(tabId))
+    .then((id) => {
+      visit.id = id;
+      // Catch up on changes made while the visit was being saved
+      if (id !== null && (visit.title !== (title || "") || visit.favicon !== (favicon || null))) {
+        return updateVisit(id, { title: visit.title, favicon: visit.favicon });
+      }
+    })
+    .catch((err) => console.warn("Failed to save history:", err));
+}
+
 // Update tab and URL bar with current page info
 async function updatePageInfo(tabId, currentUrl, iframe, retryCount = 0) {
   const { pageTitle, favicon } = extractPageInfo(iframe, currentUrl);
@@ -517,6 +647,10 @@ async function updatePageInfo(tabId, currentUrl, iframe, retryCount = 0) {
     }
     
     window.updateTabInfo(tabId, updateData);
+    recordPageVisit(tabId, currentUrl, updateData.title, updateData.favicon);
+    if (updateData.favicon && typeof window.updateBookmarkFavicon === "function") {
+      window.updateBookmarkFavicon(currentUrl, updateData.favicon);
+    }
   }
   
   // If no favicon found and we haven't retried too many times, try again
@@ -542,6 +676,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
   scramjetFrame.addEventListener("urlchange", function(event) {
     try {
       const currentUrl = event.url;
+      trackTabHistory(tabId, currentUrl);
       
       // Delay to allow the page to load and set title/favicon
       // Using setTimeout is necessary because the urlchange event fires before
@@ -556,10 +691,12 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
   
   // Listen for navigation events from Scramjet
   // This fires when navigation starts, so we update the URL immediately
-  // but wait for urlchange event to update title/favicon
+  // but wait for urlchange event to update title/favicon. Tab history is
+  // only recorded on urlchange, so redirects don't leave entries behind.
   scramjetFrame.addEventListener("navigate", function(event) {
     try {
       const currentUrl = event.url;
+      if (followSiteRule(currentUrl, tabId, "scramjet")) return;
       
       // Update URL and tab info immediately on navigation start
       // Title and favicon will be updated by the urlchange event after page loads
@@ -606,7 +743,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
             // Handle about:blank or empty URL - create a new home tab
             if (!url || url === 'about:blank') {
               console.log("Intercepted proxied window.open for empty/about:blank, opening new home tab");
-              window.openUrlInNewTab('');
+              window.openUrlInNewTab('', getTabContainerId(tabId));
               proxyArgs.return(null);
               return;
             }
@@ -630,7 +767,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
             }
             
             console.log("Intercepted proxied window.open via RawProxy, opening in new tab:", resolvedUrl);
-            window.openUrlInNewTab(resolvedUrl);
+            window.openUrlInNewTab(resolvedUrl, getTabContainerId(tabId));
             proxyArgs.return(null);
           }
         });
@@ -646,7 +783,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
           
           if (!url || url === 'about:blank') {
             console.log("Intercepted proxied window.open for empty/about:blank, opening new home tab");
-            window.openUrlInNewTab('');
+            window.openUrlInNewTab('', getTabContainerId(tabId));
             return null;
           }
           
@@ -666,7 +803,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
           }
           
           console.log("Intercepted proxied window.open (fallback), opening in new tab:", resolvedUrl);
-          window.openUrlInNewTab(resolvedUrl);
+          window.openUrlInNewTab(resolvedUrl, getTabContainerId(tabId));
           return null;
         };
         
@@ -717,7 +854,7 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
                   }
                   
                   console.log("Intercepted target=_blank link click, opening in new tab:", resolvedUrl);
-                  window.openUrlInNewTab(resolvedUrl);
+                  window.openUrlInNewTab(resolvedUrl, getTabContainerId(tabId));
                   return false;
                 }
               }
@@ -761,6 +898,20 @@ function setupScramjetUrlTracking(scramjetFrame, tabId) {
   });
 }
 
+// Let a tab frame's pages use the app's keyboard shortcuts (index.html)
+function watchFrameShortcuts(iframe) {
+  if (typeof window.listenForTabShortcuts === "function") {
+    window.listenForTabShortcuts(iframe);
+  }
+}
+
+// Add a page a tab navigated to to its back/forward history (index.html)
+function trackTabHistory(tabId, url) {
+  if (tabId !== undefined && url && typeof window.recordTabHistory === "function") {
+    window.recordTabHistory(tabId, url);
+  }
+}
+
 // Setup URL tracking for iframe navigation changes (for Ultraviolet)
 function setupUrlTracking(iframe, isUltraviolet, tabId) {
   // Track last known URL to avoid duplicate updates
@@ -806,6 +957,8 @@ function setupUrlTracking(iframe, isUltraviolet, tabId) {
       if (iframeLocation) {
         currentUrl = decodeProxyUrl(iframeLocation, isUltraviolet);
       }
+      if (isUltraviolet && followSiteRule(currentUrl, tabId, "ultraviolet")) return;
+      if (isUltraviolet) trackTabHistory(tabId, currentUrl);
       
       // For Ultraviolet, set up additional event listeners in the iframe
       if (isUltraviolet) {
@@ -841,6 +994,8 @@ function setupUltravioletNavigationTracking(iframe, tabId) {
           const currentUrl = decodeProxyUrl(iframeLocation, true);
           if (currentUrl && currentUrl !== lastKnownIframeUrl) {
             lastKnownIframeUrl = currentUrl;
+            if (followSiteRule(currentUrl, tabId, "ultraviolet")) return;
+            trackTabHistory(tabId, currentUrl);
             setTimeout(() => {
               updatePageInfo(tabId, currentUrl, iframe);
             }, PAGE_INFO_DELAY_MS);
@@ -1024,9 +1179,11 @@ function setupUltravioletWindowOpenInterception(iframe, currentUrl) {
 }
 
 // Main function to load a URL through the proxy using Scramjet
-async function loadProxiedUrlScramjet(url, tabId) {
+async function loadProxiedUrlScramjet(url, tabId, transportPath) {
+  const containerId = getTabContainerId(tabId);
   try {
     await registerScramjetSW();
+    if (containerId) await registerContainerSW(containerId);
   } catch (err) {
     console.error("Failed to register service worker:", err);
     alert("Failed to register service worker: " + err.message);
@@ -1034,7 +1191,7 @@ async function loadProxiedUrlScramjet(url, tabId) {
   }
 
   // Set up epoxy transport with Wisp (use shared function for caching and deduplication)
-  await ensureTransportConfigured();
+  await ensureTransportConfigured(transportPath);
 
   const container = document.getElementById("container");
   
@@ -1055,9 +1212,10 @@ async function loadProxiedUrlScramjet(url, tabId) {
   const frameId = targetIframeId || "proxy-frame";
   frame.frame.id = frameId;
   frame.frame.style.width = "100%";
-  frame.frame.style.height = "calc(100vh - var(--nav-bar-height) - var(--tab-bar-height))";
+  frame.frame.style.height = "calc(100vh - var(--nav-bar-height) - var(--tab-bar-height) - var(--bookmarks-bar-height))";
   frame.frame.style.border = "none";
   frame.frame.style.display = "block";
+  watchFrameShortcuts(frame.frame);
 
   // Store reference
   currentFrame = frame;
@@ -1091,12 +1249,106 @@ async function loadProxiedUrlScramjet(url, tabId) {
   // Setup URL change tracking using Scramjet's native events
   setupScramjetUrlTracking(frame, tabId);
 
-  // Navigate to URL
-  frame.go(url);
+  // Navigate to URL, under the container's path for a tab in one
+  frame.containerId = containerId;
+  if (containerId) {
+    frame.addEventListener("contextInit", (event) => isolateContainerStorage(event, containerId));
+    frame.frame.src = encodeContainerUrl(url, containerId);
+  } else {
+    frame.go(url);
+  }
+}
+
+// Proxied URL of a page in a container: Scramjet's URL for it, moved under
+// the container's path
+function encodeContainerUrl(url, containerId) {
+  const encoded = scramjet.encodeUrl(url);
+  if (!encoded.startsWith(SCRAMJET_PAGE_PREFIX)) return encoded;
+  return getContainerScope(containerId) + encoded.slice(SCRAMJET_PAGE_PREFIX.length);
+}
+
+// Keep the site storage of pages in a container apart. Scramjet keeps each
+// site's localStorage and sessionStorage in Nova's own as "<host>@<key>" and
+// names its databases "<origin>@<name>"; pages in a container get
+// "<id>|<host>@<key>" and "<origin>@<id>|<name>" instead.
+function isolateContainerStorage(event, containerId) {
+  const proxiedWindow = event.window;
+  const scramjetClient = event.client;
+  if (!proxiedWindow || !scramjetClient) return;
+  const prefix = containerId + "|";
+  const getKeyPrefix = () => prefix + scramjetClient.url.host + "@";
+  proxiedWindow.localStorage = createContainerStorage(proxiedWindow.localStorage, localStorage, getKeyPrefix);
+  proxiedWindow.sessionStorage = createContainerStorage(proxiedWindow.sessionStorage, sessionStorage, getKeyPrefix);
+
+  const open = proxiedWindow.IDBFactory.prototype.open;
+  proxiedWindow.IDBFactory.prototype.open = function(name, ...args) {
+    return open.call(this, prefix + name, ...args);
+  };
+  const nameDescriptor = Object.getOwnPropertyDescriptor(proxiedWindow.IDBDatabase.prototype, "name");
+  Object.defineProperty(proxiedWindow.IDBDatabase.prototype, "name", {
+    ...nameDescriptor,
+    get() {
+      const name = nameDescriptor.get.call(this);
+      return name.startsWith(prefix) ? name.slice(prefix.length) : name;
+    },
+  });
+}
+
+// Storage for a page in a container, kept in the app's `storage` (which the
+// page shares, being on the same origin) under the prefix from `getPrefix`.
+// The page's own storage is the proxy target so it still passes for one.
+function createContainerStorage(pageStorage, storage, getPrefix) {
+  const keys = () => {
+    const prefix = getPrefix();
+    return Object.keys(storage).filter((key) => key.startsWith(prefix)).map((key) => key.slice(prefix.length));
+  };
+  const methods = {
+    getItem: (key) => storage.getItem(getPrefix() + key),
+    setItem: (key, value) => storage.setItem(getPrefix() + key, String(value)),
+    removeItem: (key) => storage.removeItem(getPrefix() + key),
+    clear: () => keys().forEach((key) => storage.removeItem(getPrefix() + key)),
+    key: (index) => keys()[index] ?? null,
+  };
+
+  return new Proxy(pageStorage, {
+    get(target, prop) {
+      if (Object.hasOwn(methods, prop)) return methods[prop];
+      if (prop === "length") return keys().length;
+      if (typeof prop === "symbol" || prop in Object.prototype) return Reflect.get(target, prop);
+      return methods.getItem(prop) ?? undefined;
+    },
+    set(target, prop, value) {
+      if (typeof prop === "symbol") return Reflect.set(target, prop, value);
+      methods.setItem(prop, value);
+      return true;
+    },
+    has(target, prop) {
+      if (typeof prop === "symbol") return Reflect.has(target, prop);
+      return Object.hasOwn(methods, prop) || prop === "length" || methods.getItem(prop) !== null;
+    },
+    deleteProperty(target, prop) {
+      if (typeof prop === "symbol") return Reflect.deleteProperty(target, prop);
+      methods.removeItem(prop);
+      return true;
+    },
+    ownKeys() {
+      return keys();
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      const value = typeof prop === "string" ? methods.getItem(prop) : null;
+      if (value === null) return undefined;
+      return { value, writable: true, enumerable: true, configurable: true };
+    },
+    defineProperty(target, prop, attributes) {
+      if (typeof prop === "symbol") return Reflect.defineProperty(target, prop, attributes);
+      methods.setItem(prop, attributes.value);
+      return true;
+    },
+  });
 }
 
 // Main function to load a URL through Ultraviolet proxy
-async function loadProxiedUrlUltraviolet(url, tabId) {
+async function loadProxiedUrlUltraviolet(url, tabId, transportPath) {
   // Verify Ultraviolet config is available
   if (typeof __uv$config === "undefined" || typeof __uv$config.encodeUrl !== "function") {
     alert("Ultraviolet proxy is not properly configured. Please refresh the page or switch to Scramjet.");
@@ -1104,7 +1356,7 @@ async function loadProxiedUrlUltraviolet(url, tabId) {
   }
 
   // Set up epoxy transport with Wisp (use shared function for caching and deduplication)
-  await ensureTransportConfigured();
+  await ensureTransportConfigured(transportPath);
 
   try {
     await registerUltravioletSW();
@@ -1127,16 +1379,24 @@ async function loadProxiedUrlUltraviolet(url, tabId) {
   
   let iframe = targetIframeId ? document.getElementById(targetIframeId) : document.getElementById("proxy-frame");
 
-  // Create or reuse iframe
-  if (!iframe) {
+  // Create or reuse iframe (a site rule may have moved this tab off Scramjet,
+  // whose iframe can't be reused)
+  const previousFrame = tabId !== undefined ? tabFrames.get(tabId) : currentFrame;
+  if (!iframe || (previousFrame && !previousFrame.isUltraviolet)) {
+    const oldIframe = iframe;
     iframe = document.createElement("iframe");
     const frameId = targetIframeId || "proxy-frame";
     iframe.id = frameId;
     iframe.style.width = "100%";
-    iframe.style.height = "calc(100vh - var(--nav-bar-height) - var(--tab-bar-height))";
+    iframe.style.height = "calc(100vh - var(--nav-bar-height) - var(--tab-bar-height) - var(--bookmarks-bar-height))";
     iframe.style.border = "none";
     iframe.style.display = "block";
-    container.appendChild(iframe);
+    watchFrameShortcuts(iframe);
+    if (oldIframe) {
+      oldIframe.replaceWith(iframe);
+    } else {
+      container.appendChild(iframe);
+    }
     
     // Update tab's iframeId
     if (tabId !== undefined && typeof window.getTabById === "function") {
@@ -1169,15 +1429,247 @@ async function loadProxiedUrlUltraviolet(url, tabId) {
   iframe.src = encodedUrl;
 }
 
-// Main function to load a URL through the proxy (selects engine based on settings)
+// How long a page may take to start loading before it counts as failed
+const LOAD_TIMEOUT_MS = 30000;
+
+// How often an Ultraviolet frame is checked for having started on its page
+const UV_COMMIT_CHECK_MS = 250;
+
+const OTHER_ENGINE = { scramjet: "ultraviolet", ultraviolet: "scramjet" };
+
+// Engine and transport a tab fell back to after a page failed to load, as
+// { hostname, engine, transport } by tab. It applies while the tab stays on
+// that site.
+const tabEngineFallbacks = new Map();
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return "";
+  }
+}
+
+// Apply an engine and transport choice (a site rule or a fallback) on top of
+// the settings, except where the operator locked them
+function applyEngineChoice(settings, choice) {
+  if (choice.engine && !isSettingLocked("proxyEngine")) {
+    settings.proxyEngine = choice.engine;
+  }
+  if (choice.transport && !isSettingLocked("transport") && !isSettingLocked("usePreferredTransport")) {
+    settings.usePreferredTransport = false;
+    settings.transport = choice.transport;
+  }
+}
+
+// The container a tab is in (containers-store.js), or "" for none
+function getTabContainerId(tabId) {
+  const tab = tabId !== undefined && typeof window.getTabById === "function" ? window.getTabById(tabId) : null;
+  return tab && getContainer(tab.containerId) ? tab.containerId : "";
+}
+
+// Settings for loading `url` in a tab: the settings of the tab's container
+// with the tab's fallback or else the first matching site rule
+// (site-rules.js) applied
+function getSettingsForUrl(url, tabId) {
+  const containerId = getTabContainerId(tabId);
+  const settings = getSettings(containerId);
+  const fallback = tabEngineFallbacks.get(tabId);
+  const choice = fallback && fallback.hostname === getHostname(url) ? fallback : findSiteRule(url);
+  if (choice) {
+    applyEngineChoice(settings, choice);
+  }
+  // Only Scramjet keeps a container's pages apart
+  if (containerId) {
+    settings.proxyEngine = "scramjet";
+  }
+  return settings;
+}
+
+// Whether a tab is the one on screen (always, without the tab system)
+function isActiveTab(tabId) {
+  return tabId === undefined || typeof window.getActiveTabId !== "function" || window.getActiveTabId() === tabId;
+}
+
+// Transport for loading a page in a tab. The transport is shared by every
+// tab, so only the active tab picks it; pages loading behind it keep the one
+// in use.
+function getTabTransportPath(settings, tabId) {
+  return transportConfigured && !isActiveTab(tabId) ? lastTransportPath : getTransportPath(settings);
+}
+
+// Keep a page on the engine and transport its site asks for after it
+// navigates by itself (links, redirects). The engine is switched for that
+// tab alone, and the transport only follows the active tab. Returns true
+// when the page is reloaded through the other engine.
+function followSiteRule(url, tabId, engine) {
+  if (!url) return false;
+  const settings = getSettingsForUrl(url, tabId);
+  if (settings.proxyEngine !== engine) {
+    loadProxiedUrl(url, tabId).catch((err) => {
+      console.error("Failed to switch proxy engine for " + url + ":", err);
+    });
+    return true;
+  }
+  if (isActiveTab(tabId)) {
+    ensureTransportConfigured(getTransportPath(settings)).catch((err) => {
+      console.error("Failed to switch transport for " + url + ":", err);
+    });
+  }
+  return false;
+}
+
+// Move the shared transport to what the page in a tab asks for when the
+// user switches to it (called from the tab system)
+window.followTabTransport = function(tabId) {
+  const tab = window.getTabById(tabId);
+  if (!transportConfigured || !tab || tab.type !== "proxy" || !tab.url) return;
+  ensureTransportConfigured(getTransportPath(getSettingsForUrl(tab.url, tabId))).catch((err) => {
+    console.error("Failed to switch transport for " + tab.url + ":", err);
+  });
+};
+
+// Whether a frame shows an error page instead of the site: the engines' own
+// error page (both render an #errorTrace box) or the one our service workers
+// send when the engine throws (sw-errors.js)
+function isProxyErrorPage(iframe) {
+  try {
+    const doc = iframe.contentDocument;
+    return Boolean(doc && doc.querySelector("#errorTrace, meta[name='nova-proxy-error']"));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Watch the first load of a page in a tab. A page that lands on an error
+// page, or doesn't start loading in time, is retried with the other engine.
+function watchPageLoad(url, tabId) {
+  const frame = tabId !== undefined ? tabFrames.get(tabId) : currentFrame;
+  if (!frame) return;
+  const iframe = frame.frame;
+  const fallback = tabEngineFallbacks.get(tabId);
+  const isFallback = Boolean(fallback && fallback.hostname === getHostname(url));
+  const timer = setTimeout(() => finish(false), LOAD_TIMEOUT_MS);
+  let done = false;
+
+  // Ultraviolet sends no URL change events, so look for the frame starting
+  // on the proxied page instead: a new document at a URL that decodes. Slow
+  // pages get there long before their load event, and an error page can be
+  // told apart once the document is parsed.
+  let commitCheck = null;
+  if (frame.isUltraviolet) {
+    const startDocument = iframe.contentDocument;
+    commitCheck = setInterval(() => {
+      const doc = iframe.contentDocument;
+      const location = getIframeLocationUrl(iframe);
+      if (!doc || doc === startDocument || !location || !decodeProxyUrl(location, true)) return;
+      clearInterval(commitCheck);
+      onUrlChange();
+      if (doc.readyState === "loading") {
+        doc.addEventListener("DOMContentLoaded", onLoad);
+      } else {
+        onLoad();
+      }
+    }, UV_COMMIT_CHECK_MS);
+  }
+
+  function onLoad() {
+    // New frames sit on about:blank until the proxied page loads
+    const location = getIframeLocationUrl(iframe);
+    if (!location || location === "about:blank") return;
+    finish(!isProxyErrorPage(iframe));
+  }
+
+  function onUrlChange() {
+    // The page started loading, so only an error page counts from here
+    clearTimeout(timer);
+  }
+
+  function finish(loaded) {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    clearInterval(commitCheck);
+    iframe.removeEventListener("load", onLoad);
+    if (!frame.isUltraviolet) frame.removeEventListener("urlchange", onUrlChange);
+
+    // Nothing to do when the tab has moved on to another page since
+    const current = tabId !== undefined ? tabFrames.get(tabId) : currentFrame;
+    if (current !== frame) return;
+    if (loaded) {
+      if (isFallback && typeof window.showEngineFallbackNotice === "function") {
+        window.showEngineFallbackNotice(fallback);
+      }
+    } else {
+      retryWithOtherEngine(url, tabId, isFallback);
+    }
+  }
+
+  iframe.addEventListener("load", onLoad);
+  if (!frame.isUltraviolet) frame.addEventListener("urlchange", onUrlChange);
+}
+
+// Load a failed page again in the same tab with the other engine and
+// transport. Each page gets one retry.
+function retryWithOtherEngine(url, tabId, wasFallback) {
+  // Tabs in a container have no other engine
+  if (wasFallback || isSettingLocked("proxyEngine") || getTabContainerId(tabId)) {
+    console.warn("Nova: " + url + " failed to load");
+    return;
+  }
+  const settings = getSettingsForUrl(url, tabId);
+  const fallback = {
+    hostname: getHostname(url),
+    engine: OTHER_ENGINE[settings.proxyEngine],
+    transport: getTransportPath(settings) === EPOXY_TRANSPORT_PATH ? "libcurl" : "epoxy",
+    from: settings.proxyEngine,
+  };
+  console.warn("Nova: " + url + " failed to load with " + fallback.from + ", retrying with " + fallback.engine);
+  tabEngineFallbacks.set(tabId, fallback);
+  loadProxiedUrl(url, tabId).catch((err) => {
+    console.error("Failed to retry " + url + " with " + fallback.engine + ":", err);
+  });
+}
+
+// Main function to load a URL through the proxy (selects engine based on
+// settings and site rules, and falls back to the other engine on failure)
 async function loadProxiedUrl(url, tabId) {
-  const settings = getSettings();
+  const settings = getSettingsForUrl(url, tabId);
+  const transportPath = getTabTransportPath(settings, tabId);
   if (settings.proxyEngine === "ultraviolet") {
-    await loadProxiedUrlUltraviolet(url, tabId);
+    await loadProxiedUrlUltraviolet(url, tabId, transportPath);
   } else {
-    await loadProxiedUrlScramjet(url, tabId);
+    await loadProxiedUrlScramjet(url, tabId, transportPath);
+  }
+  watchPageLoad(url, tabId);
+}
+
+// Apply changed wisp, engine, transport and container settings to the
+// running app. The transport is configured again, and only tabs whose engine
+// or container changed (a removed container leaves its tabs in none) are
+// loaded again at their current URL, so every other page keeps its state.
+async function applyProxySettings() {
+  const activeTabId = typeof window.getActiveTabId === "function" ? window.getActiveTabId() : undefined;
+  const activeTab = activeTabId !== undefined ? window.getTabById(activeTabId) : null;
+  const activeSettings = activeTab && activeTab.type === "proxy" && activeTab.url
+    ? getSettingsForUrl(activeTab.url, activeTabId)
+    : getSettings();
+  transportConfigured = false;
+  await ensureTransportConfigured(getTransportPath(activeSettings));
+
+  for (const [tabId, frame] of tabFrames) {
+    const tab = window.getTabById(tabId);
+    if (!tab || tab.type !== "proxy" || !tab.url) continue;
+    const engine = getSettingsForUrl(tab.url, tabId).proxyEngine;
+    if (engine !== (frame.isUltraviolet ? "ultraviolet" : "scramjet") || (frame.containerId || "") !== getTabContainerId(tabId)) {
+      await loadProxiedUrl(tab.url, tabId);
+    }
+  }
+  if (activeTabId !== undefined && tabFrames.has(activeTabId)) {
+    currentFrame = tabFrames.get(activeTabId);
   }
 }
+window.applyProxySettings = applyProxySettings;
 
 // Function to load URL in a specific tab (called from tab system)
 window.loadUrlInTab = async function(tabId, url) {
@@ -1755,8 +2247,12 @@ document.addEventListener("DOMContentLoaded", () => {
     const input = urlInput.value.trim();
     if (!input) return;
 
-    // Convert input to URL
-    const url = search(input, "https://duckduckgo.com/?q=%s");
+    // Convert input to URL, searching with the engine of a keyword ("w nova")
+    // or the default one
+    const keyword = findSearchKeyword(input);
+    const url = keyword
+      ? getSearchUrl(keyword.engine, keyword.query)
+      : search(input, getDefaultSearchEngine().template);
 
     // Get active tab ID if tab system is available
     const tabId = typeof window.getActiveTabId === "function" ? window.getActiveTabId() : undefined;
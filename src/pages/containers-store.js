@@ -0,0 +1,143 @@
+"use strict";
+
+// Containers: named groups of tabs that each keep their own cookies and site
+// storage for proxied pages, have a colour on their tabs, and can have their
+// own value for some settings. Shared by the app (client.js, index.html), the
+// settings page and the Scramjet service worker (sw.js), which only uses the
+// path helpers. Needs nova-config.js, and settings-store.js for the rest.
+//
+//   { id, name, color, settings: { transport, history, searchSuggestions } }
+//
+// Tabs in a container are proxied under <base>containers/<id>/ by their own
+// registration of sw.js, which keeps the container's cookies apart. Pages in
+// them keep localStorage, sessionStorage and IndexedDB under a "<id>|" prefix
+// (see client.js). Only Scramjet can do this, so they always use it.
+
+const CONTAINERS_KEY = "nova-containers";
+
+// Colours offered for new containers, in the order they're handed out
+const CONTAINER_COLORS = ["#3b82f6", "#22c55e", "#f59e0b", "#ef4444", "#a855f7", "#ec4899", "#14b8a6", "#64748b"];
+
+// Settings a container can choose its own value for. Empty keeps the one
+// the rest of Nova uses.
+const CONTAINER_SETTING_CHOICES = {
+  transport: ["libcurl", "epoxy"],
+  history: ["on", "off"],
+  searchSuggestions: ["on", "off"],
+};
+
+function isValidContainer(container) {
+  return (
+    container !== null &&
+    typeof container === "object" &&
+    typeof container.id === "string" &&
+    /^[a-z0-9]+$/.test(container.id) &&
+    typeof container.name === "string" &&
+    container.name.trim() !== "" &&
+    typeof container.color === "string" &&
+    /^#[0-9a-f]{6}$/i.test(container.color) &&
+    container.settings !== null &&
+    typeof container.settings === "object" &&
+    Object.entries(CONTAINER_SETTING_CHOICES).every(
+      ([name, choices]) => !container.settings[name] || choices.includes(container.settings[name])
+    )
+  );
+}
+
+// Saved containers as [{ id, name, color, settings }]
+function getContainers() {
+  try {
+    const containers = JSON.parse(localStorage.getItem(CONTAINERS_KEY) || "[]");
+    return Array.isArray(containers) ? containers.filter(isValidContainer) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveContainers(containers) {
+  localStorage.setItem(CONTAINERS_KEY, JSON.stringify(containers.filter(isValidContainer)));
+}
+
+// Containers need Scramjet, so they're off when the operator locked Nova to
+// Ultraviolet
+function areContainersAvailable() {
+  return !(isSettingLocked("proxyEngine") && getDefaultSetting("proxyEngine") === "ultraviolet");
+}
+
+// The container with an id, or null when there is none (or containers are
+// off, which leaves its tabs with everything else)
+function getContainer(id) {
+  if (!id || !areContainersAvailable()) return null;
+  return getContainers().find((container) => container.id === id) || null;
+}
+
+// A new container, taking the colour for the `index`th one
+function createContainer(name, index) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name,
+    color: CONTAINER_COLORS[index % CONTAINER_COLORS.length],
+    settings: { transport: "", history: "", searchSuggestions: "" },
+  };
+}
+
+// Apply a container's own settings on top of `settings` (from getSettings),
+// except where the operator locked them
+function applyContainerSettings(settings, container) {
+  const own = container.settings;
+  if (own.transport && !isSettingLocked("transport") && !isSettingLocked("usePreferredTransport")) {
+    settings.usePreferredTransport = false;
+    settings.transport = own.transport;
+  }
+  for (const name of ["history", "searchSuggestions"]) {
+    if (own[name] && !isSettingLocked(name)) settings[name] = own[name] === "on";
+  }
+}
+
+// Path a container's pages are proxied under, which is also the scope of
+// its service worker
+function getContainerScope(id) {
+  return self.__nova$config.containersPrefix + id + "/";
+}
+
+// The container a service worker scope belongs to, or "" for Nova's own
+function getScopeContainerId(scope) {
+  const path = new URL(scope, location.origin).pathname;
+  const prefix = self.__nova$config.containersPrefix;
+  if (!path.startsWith(prefix)) return "";
+  const id = path.slice(prefix.length).replace(/\/$/, "");
+  return /^[a-z0-9]+$/.test(id) ? id : "";
+}
+
+// Name of the database a container's service worker keeps Scramjet's
+// cookies and config in, instead of Scramjet's own "$scramjet"
+function getContainerDatabaseName(id) {
+  return "$scramjet@" + id;
+}
+
+// Delete what a removed container's pages left behind: its service worker,
+// cookies and site storage
+async function clearContainerData(id) {
+  const prefix = id + "|";
+  for (const storage of [localStorage, sessionStorage]) {
+    for (const key of Object.keys(storage)) {
+      if (key.startsWith(prefix)) storage.removeItem(key);
+    }
+  }
+  if (navigator.serviceWorker) {
+    const registration = await navigator.serviceWorker.getRegistration(getContainerScope(id));
+    if (registration && new URL(registration.scope).pathname === getContainerScope(id)) {
+      await registration.unregister();
+    }
+  }
+  // Scramjet names sites' databases "<origin>@<name>"
+  const names = new Set([getContainerDatabaseName(id)]);
+  if (indexedDB.databases) {
+    for (const { name } of await indexedDB.databases()) {
+      if (name.includes("@" + prefix)) names.add(name);
+    }
+  }
+  for (const name of names) {
+    indexedDB.deleteDatabase(name);
+  }
+}
@@ -0,0 +1,116 @@
+"use strict";
+
+// Browsing history in IndexedDB, shared by the app (client.js), which records
+// visits, and the history page. Needs settings-store.js.
+
+const HISTORY_DB_NAME = "nova-history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "visits";
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("visitedAt", "visitedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again
+    historyDbPromise.catch(() => {
+      historyDbPromise = null;
+    });
+  }
+  return historyDbPromise;
+}
+
+// Run `fn(store)` in a transaction and resolve with the result of the
+// request it returns, once the transaction completes
+async function withHistoryStore(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const request = fn(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Whether history is on, for tabs in a container when given its id
+function isHistoryEnabled(containerId = "") {
+  return getSettings(containerId).history;
+}
+
+// Save a visit { url, title, favicon } and resolve with its id, or null when
+// history is turned off (for the container the visit's tab is in)
+async function recordVisit(visit, containerId = "") {
+  if (!isHistoryEnabled(containerId)) return null;
+  return withHistoryStore("readwrite", (store) =>
+    store.add({ url: visit.url, title: visit.title || "", favicon: visit.favicon || null, visitedAt: Date.now() })
+  );
+}
+
+// Update the title or favicon of a visit once the page has them
+async function updateVisit(id, changes) {
+  return withHistoryStore("readwrite", (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+    return null;
+  });
+}
+
+// Visits newest first. Every word of `query` must appear in the title or
+// URL. Stops after `limit` matches.
+async function findVisits(query = "", limit = 500) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const visits = [];
+  await withHistoryStore("readonly", (store) => {
+    const request = store.index("visitedAt").openCursor(null, "prev");
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || visits.length >= limit) return;
+      const visit = cursor.value;
+      const text = (visit.title + " " + visit.url).toLowerCase();
+      if (words.every((word) => text.includes(word))) visits.push(visit);
+      cursor.continue();
+    };
+    return null;
+  });
+  return visits;
+}
+
+// Add visits { url, title, favicon, visitedAt } from a profile backup,
+// keeping their times
+async function addVisits(visits) {
+  return withHistoryStore("readwrite", (store) => {
+    for (const visit of visits) {
+      store.add({ url: visit.url, title: visit.title, favicon: visit.favicon, visitedAt: visit.visitedAt });
+    }
+    return null;
+  });
+}
+
+async function deleteVisit(id) {
+  return withHistoryStore("readwrite", (store) => store.delete(id));
+}
+
+// Delete visits from `since` (a timestamp) until now; 0 clears everything
+async function clearVisits(since) {
+  return withHistoryStore("readwrite", (store) => {
+    const request = store.index("visitedAt").openCursor(IDBKeyRange.lowerBound(since));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  });
+}
@@ -0,0 +1,426 @@
+"use strict";
+
+// Profile backups for the settings page: everything Nova keeps in this
+// browser, saved to one versioned JSON file and loaded back, maybe on another
+// machine. Needs settings-store.js, containers-store.js, wisp-servers.js,
+// site-rules.js, search-engines.js, bookmarks-store.js and history-store.js.
+//
+//   { format, version, exportedAt, settings, siteRules, containers,
+//     searchEngines, bookmarks, tabs, history }
+//
+// Each section is optional in a file, and `history` is only written when
+// asked for.
+
+const PROFILE_FORMAT = "nova-profile";
+const PROFILE_VERSION = 1;
+
+const PROFILE_THEME_KEY = "nova-theme";
+const PROFILE_TABS_KEY = "nova-tabs";
+const PROFILE_CLOSED_TABS_KEY = "nova-closed-tabs";
+
+const PROFILE_THEMES = ["system", "light", "dark"];
+
+// Values the settings page can choose from, for settings that aren't free
+// text or on/off
+const PROFILE_SETTING_CHOICES = {
+  proxyEngine: SITE_RULE_ENGINES,
+  transport: SITE_RULE_TRANSPORTS,
+};
+const PROFILE_TAB_TYPES = ["home", "settings", "history", "bookmarks", "proxy"];
+
+// Sections in the order the import preview lists them
+const PROFILE_SECTIONS = ["settings", "siteRules", "containers", "searchEngines", "bookmarks", "tabs", "history"];
+
+function readStoredJson(key, fallback) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return value === null ? fallback : value;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Settings the user saved, leaving out locked ones since another server may
+// not lock them
+function exportProfileSettings() {
+  const settings = {};
+  for (const [name, key] of Object.entries(SETTING_KEYS)) {
+    if (!isSettingLocked(name) && localStorage.getItem(key) !== null) {
+      settings[name] = readSetting(name);
+    }
+  }
+  const theme = localStorage.getItem(PROFILE_THEME_KEY);
+  if (theme !== null) settings.theme = theme;
+  return settings;
+}
+
+// The whole profile as a plain object, ready for JSON.stringify
+async function exportProfile(includeHistory) {
+  const engines = getSearchEngines();
+  const profile = {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: exportProfileSettings(),
+    siteRules: getSiteRules(),
+    containers: getContainers(),
+    searchEngines: { engines, defaultId: getDefaultSearchEngine(engines).id },
+    bookmarks: { nodes: getBookmarks(), barShown: isBookmarksBarShown() },
+    tabs: {
+      ...readStoredJson(PROFILE_TABS_KEY, { tabs: [], activeTabId: null, tabIdCounter: 0 }),
+      closed: readStoredJson(PROFILE_CLOSED_TABS_KEY, []),
+    },
+  };
+  if (includeHistory) {
+    profile.history = (await findVisits("", Infinity)).map(({ url, title, favicon, visitedAt }) => ({
+      url,
+      title,
+      favicon,
+      visitedAt,
+    }));
+  }
+  return profile;
+}
+
+function isProfileTab(tab) {
+  return (
+    tab !== null &&
+    typeof tab === "object" &&
+    PROFILE_TAB_TYPES.includes(tab.type) &&
+    typeof tab.url === "string" &&
+    // Proxied pages are loaded into the app, so only web pages will do
+    (tab.type !== "proxy" || isBookmarkUrl(tab.url)) &&
+    (tab.title === undefined || typeof tab.title === "string") &&
+    (tab.favicon === undefined || tab.favicon === null || typeof tab.favicon === "string")
+  );
+}
+
+// A copy of a saved tab with only the fields the app reads. The app checks
+// the shape of `history` itself when it restores the tab, and starts it over
+// when it's dropped here for going to something other than web pages.
+function cleanProfileTab(tab) {
+  const history = tab.history;
+  const webHistory = Boolean(history && Array.isArray(history.entries) && history.entries.every(isBookmarkUrl));
+  return {
+    type: tab.type,
+    url: tab.url,
+    title: tab.title || "",
+    favicon: tab.favicon || null,
+    history: webHistory ? history : undefined,
+    // A tab in a container that isn't there joins the others
+    containerId: typeof tab.containerId === "string" ? tab.containerId : "",
+  };
+}
+
+function parseProfileSettings(data) {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The settings section is not valid");
+  }
+  const settings = {};
+  for (const name of Object.keys(SETTING_KEYS)) {
+    if (!(name in data)) continue;
+    const choices = PROFILE_SETTING_CHOICES[name];
+    if (
+      typeof data[name] !== typeof getDefaultSetting(name) ||
+      (choices && !choices.includes(data[name]))
+    ) {
+      throw new Error("The " + name + " setting is not valid");
+    }
+    if (name === "wispServer") {
+      const servers = parseWispServers(data[name]);
+      if (!servers.every(isWispServerUrl)) throw new Error("The wispServer setting is not valid");
+      settings[name] = servers.join("\n");
+    } else {
+      settings[name] = data[name];
+    }
+  }
+  if ("theme" in data) {
+    if (!PROFILE_THEMES.includes(data.theme)) throw new Error("The theme setting is not valid");
+    settings.theme = data.theme;
+  }
+  return settings;
+}
+
+function parseProfileTabs(data) {
+  if (data === null || typeof data !== "object" || !Array.isArray(data.tabs)) {
+    throw new Error("The tabs section is not valid");
+  }
+  const tabs = data.tabs.filter(isProfileTab).map((tab) => ({ id: tab.id, ...cleanProfileTab(tab) }));
+  // Ids must be unique for the app to tell tabs apart
+  const ids = new Set();
+  for (const tab of tabs) {
+    if (!Number.isInteger(tab.id) || tab.id < 0 || ids.has(tab.id)) {
+      throw new Error("The tabs section is not valid");
+    }
+    ids.add(tab.id);
+  }
+  const closed = Array.isArray(data.closed) ? data.closed.filter(isProfileTab) : [];
+  return {
+    tabs,
+    activeTabId: ids.has(data.activeTabId) ? data.activeTabId : tabs.length > 0 ? tabs[0].id : null,
+    tabIdCounter: Math.max(Number.isInteger(data.tabIdCounter) ? data.tabIdCounter : 0, ...tabs.map((tab) => tab.id + 1)),
+    closed: closed.map((tab) => ({
+      ...cleanProfileTab(tab),
+      position: Number.isInteger(tab.position) && tab.position >= 0 ? tab.position : 0,
+    })),
+  };
+}
+
+function isProfileVisit(visit) {
+  return (
+    visit !== null &&
+    typeof visit === "object" &&
+    typeof visit.url === "string" &&
+    isBookmarkUrl(visit.url) &&
+    Number.isFinite(visit.visitedAt)
+  );
+}
+
+// Check a backup file and return the profile in it with each section
+// cleaned up. Throws an Error saying what's wrong when the file can't be
+// used. Entries that aren't valid (a rule with an unknown engine, a
+// bookmark to a javascript: URL) are dropped rather than failing the file.
+function parseProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("This file is not valid JSON");
+  }
+  if (
+    data === null ||
+    typeof data !== "object" ||
+    data.format !== PROFILE_FORMAT ||
+    !Number.isInteger(data.version) ||
+    data.version < 1
+  ) {
+    throw new Error("This file is not a Nova profile backup");
+  }
+  if (data.version > PROFILE_VERSION) {
+    throw new Error("This backup was made by a newer version of Nova");
+  }
+
+  const profile = { exportedAt: typeof data.exportedAt === "string" ? data.exportedAt : null };
+  if ("settings" in data) {
+    profile.settings = parseProfileSettings(data.settings);
+  }
+  if ("siteRules" in data) {
+    if (!Array.isArray(data.siteRules)) throw new Error("The site rules section is not valid");
+    profile.siteRules = data.siteRules.filter(isValidSiteRule).map(({ pattern, engine, transport }) => ({
+      pattern,
+      engine: engine || "",
+      transport: transport || "",
+    }));
+  }
+  if ("containers" in data) {
+    if (!Array.isArray(data.containers)) throw new Error("The containers section is not valid");
+    const ids = new Set();
+    profile.containers = data.containers
+      .filter((container) => isValidContainer(container) && !ids.has(container.id) && ids.add(container.id))
+      .map(({ id, name, color, settings }) => ({
+        id,
+        name,
+        color,
+        settings: {
+          transport: settings.transport || "",
+          history: settings.history || "",
+          searchSuggestions: settings.searchSuggestions || "",
+        },
+      }));
+  }
+  if ("searchEngines" in data) {
+    const section = data.searchEngines;
+    if (section === null || typeof section !== "object" || !Array.isArray(section.engines)) {
+      throw new Error("The search engines section is not valid");
+    }
+    const engines = section.engines.filter(isValidSearchEngine).map(({ id, name, keyword, template, suggestUrl }) => ({
+      id,
+      name,
+      keyword,
+      template,
+      suggestUrl: suggestUrl || "",
+    }));
+    const defaultEngine = engines.find((engine) => engine.id === section.defaultId) || engines[0];
+    profile.searchEngines = { engines, defaultId: defaultEngine ? defaultEngine.id : null };
+  }
+  if ("bookmarks" in data) {
+    const section = data.bookmarks;
+    if (section === null || typeof section !== "object" || !Array.isArray(section.nodes)) {
+      throw new Error("The bookmarks section is not valid");
+    }
+    profile.bookmarks = {
+      nodes: section.nodes.map((node) => normalizeBookmark(node, true)).filter(Boolean),
+      barShown: section.barShown === true,
+    };
+  }
+  if ("tabs" in data) {
+    profile.tabs = parseProfileTabs(data.tabs);
+  }
+  if ("history" in data) {
+    if (!Array.isArray(data.history)) throw new Error("The history section is not valid");
+    profile.history = data.history.filter(isProfileVisit).map((visit) => ({
+      url: visit.url,
+      title: typeof visit.title === "string" ? visit.title : "",
+      favicon: typeof visit.favicon === "string" ? visit.favicon : null,
+      visitedAt: visit.visitedAt,
+    }));
+  }
+  return profile;
+}
+
+function pluralize(count, word) {
+  return count + " " + word + (count === 1 ? "" : "s");
+}
+
+// What each section of a parsed profile holds, for the import preview:
+// [{ section, label, summary }]
+function describeProfile(profile) {
+  const labels = {
+    settings: "Settings",
+    siteRules: "Site rules",
+    containers: "Containers",
+    searchEngines: "Search engines",
+    bookmarks: "Bookmarks",
+    tabs: "Tabs",
+    history: "Browsing history",
+  };
+  return PROFILE_SECTIONS.filter((section) => profile[section]).map((section) => {
+    let summary;
+    if (section === "settings") {
+      const names = Object.keys(profile.settings);
+      const locked = names.filter((name) => name !== "theme" && isSettingLocked(name)).length;
+      summary = pluralize(names.length, "value");
+      if (locked > 0) summary += ", " + locked + " managed by your administrator and skipped";
+    } else if (section === "siteRules") {
+      summary = pluralize(profile.siteRules.length, "rule");
+    } else if (section === "containers") {
+      summary = pluralize(profile.containers.length, "container");
+    } else if (section === "searchEngines") {
+      summary = pluralize(profile.searchEngines.engines.length, "engine");
+    } else if (section === "bookmarks") {
+      summary = pluralize(countBookmarks(profile.bookmarks.nodes), "bookmark");
+    } else if (section === "tabs") {
+      summary = pluralize(profile.tabs.tabs.length, "open tab") + ", " + profile.tabs.closed.length + " recently closed";
+    } else {
+      summary = pluralize(profile.history.length, "visit");
+    }
+    return { section, label: labels[section], summary };
+  });
+}
+
+function importProfileSettings(settings, replace) {
+  if (replace) {
+    for (const name of Object.keys(SETTING_KEYS)) {
+      if (!isSettingLocked(name)) localStorage.removeItem(SETTING_KEYS[name]);
+    }
+    localStorage.removeItem(PROFILE_THEME_KEY);
+  }
+  // Locked settings are skipped
+  for (const name of Object.keys(SETTING_KEYS)) {
+    if (name in settings) saveSetting(name, settings[name]);
+  }
+  if (settings.theme) localStorage.setItem(PROFILE_THEME_KEY, settings.theme);
+}
+
+// Merged rules keep the current ones first, since the first match wins
+function importProfileSiteRules(rules, replace) {
+  if (replace) {
+    saveSiteRules(rules);
+    return;
+  }
+  const current = getSiteRules();
+  const patterns = new Set(current.map((rule) => rule.pattern.trim().toLowerCase()));
+  saveSiteRules([...current, ...rules.filter((rule) => !patterns.has(rule.pattern.trim().toLowerCase()))]);
+}
+
+// Containers come without their cookies and site data. Replaced containers
+// have theirs deleted, as when they're removed in the settings.
+async function importProfileContainers(containers, replace) {
+  const current = getContainers();
+  if (replace) {
+    saveContainers(containers);
+    for (const container of current) {
+      if (!containers.some((kept) => kept.id === container.id)) await clearContainerData(container.id);
+    }
+    return;
+  }
+  const ids = new Set(current.map((container) => container.id));
+  saveContainers([...current, ...containers.filter((container) => !ids.has(container.id))]);
+}
+
+// Merged engines keep the current default, and an imported keyword that is
+// already taken is dropped
+function importProfileSearchEngines(section, replace) {
+  if (section.engines.length === 0) return;
+  if (replace) {
+    saveSearchEngines(section.engines, section.defaultId);
+    return;
+  }
+  const current = getSearchEngines();
+  const defaultId = getDefaultSearchEngine(current).id;
+  const ids = new Set(current.map((engine) => engine.id));
+  const keywords = new Set(current.map((engine) => engine.keyword.toLowerCase()).filter(Boolean));
+  for (const engine of section.engines) {
+    if (ids.has(engine.id) || current.some((existing) => existing.template === engine.template)) continue;
+    const keyword = keywords.has(engine.keyword.toLowerCase()) ? "" : engine.keyword;
+    current.push({ ...engine, keyword });
+    if (keyword) keywords.add(keyword.toLowerCase());
+  }
+  saveSearchEngines(current, defaultId);
+}
+
+function importProfileBookmarks(section, replace) {
+  if (replace) {
+    saveBookmarks(section.nodes);
+  } else {
+    importBookmarks(section.nodes.map((node) => normalizeBookmark(node, false)));
+  }
+  setBookmarksBarShown(section.barShown);
+}
+
+// Merged tabs open after the current ones and the current tab stays active.
+// Recently closed tabs are only replaced.
+function importProfileTabs(section, replace) {
+  if (replace) {
+    localStorage.setItem(PROFILE_TABS_KEY, JSON.stringify({
+      tabs: section.tabs,
+      activeTabId: section.activeTabId,
+      tabIdCounter: section.tabIdCounter,
+    }));
+    localStorage.setItem(PROFILE_CLOSED_TABS_KEY, JSON.stringify(section.closed));
+    return;
+  }
+  const current = readStoredJson(PROFILE_TABS_KEY, null);
+  if (!current || !Array.isArray(current.tabs) || current.tabs.length === 0) {
+    importProfileTabs(section, true);
+    return;
+  }
+  let tabIdCounter = Math.max(current.tabIdCounter || 0, ...current.tabs.map((tab) => tab.id + 1));
+  const tabs = [...current.tabs, ...section.tabs.map((tab) => ({ ...tab, id: tabIdCounter++ }))];
+  localStorage.setItem(PROFILE_TABS_KEY, JSON.stringify({ tabs, activeTabId: current.activeTabId, tabIdCounter }));
+}
+
+// Merged history skips visits that are already saved
+async function importProfileHistory(visits, replace) {
+  if (replace) {
+    await clearVisits(0);
+    await addVisits(visits);
+    return;
+  }
+  const saved = new Set((await findVisits("", Infinity)).map((visit) => visit.visitedAt + " " + visit.url));
+  await addVisits(visits.filter((visit) => !saved.has(visit.visitedAt + " " + visit.url)));
+}
+
+// Import the chosen `sections` of a parsed profile, merging them with what
+// is saved or replacing it. The app has to reload to pick up tabs and
+// settings.
+async function importProfile(profile, sections, replace) {
+  const chosen = (section) => sections.includes(section) && profile[section];
+  if (chosen("settings")) importProfileSettings(profile.settings, replace);
+  if (chosen("siteRules")) importProfileSiteRules(profile.siteRules, replace);
+  if (chosen("containers")) await importProfileContainers(profile.containers, replace);
+  if (chosen("searchEngines")) importProfileSearchEngines(profile.searchEngines, replace);
+  if (chosen("bookmarks")) importProfileBookmarks(profile.bookmarks, replace);
+  if (chosen("tabs")) importProfileTabs(profile.tabs, replace);
+  if (chosen("history")) await importProfileHistory(profile.history, replace);
+}
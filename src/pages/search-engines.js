@@ -0,0 +1,147 @@
+"use strict";
+
+// Search engines, shared by the app (client.js and the address bar) and the
+// settings page. Input that isn't a URL is searched with the default engine,
+// or with the engine whose keyword it starts with ("w nova" searches
+// Wikipedia). In templates, %s is replaced by the query.
+//
+//   engine: { id, name, keyword, template, suggestUrl }
+//
+// `suggestUrl` returns suggestions in the OpenSearch JSON format
+// ([query, [suggestion, ...]]); custom engines don't have one.
+
+const SEARCH_ENGINES_KEY = "nova-search-engines";
+const DEFAULT_SEARCH_ENGINE_KEY = "nova-search-engine";
+
+const PRESET_SEARCH_ENGINES = [
+  {
+    id: "duckduckgo",
+    name: "DuckDuckGo",
+    keyword: "d",
+    template: "https://duckduckgo.com/?q=%s",
+    suggestUrl: "https://duckduckgo.com/ac/?q=%s&type=list",
+  },
+  {
+    id: "google",
+    name: "Google",
+    keyword: "g",
+    template: "https://www.google.com/search?q=%s",
+    suggestUrl: "https://suggestqueries.google.com/complete/search?client=firefox&q=%s",
+  },
+  {
+    id: "bing",
+    name: "Bing",
+    keyword: "b",
+    template: "https://www.bing.com/search?q=%s",
+    suggestUrl: "https://api.bing.com/osjson.aspx?query=%s",
+  },
+  {
+    id: "brave",
+    name: "Brave Search",
+    keyword: "br",
+    template: "https://search.brave.com/search?q=%s",
+    suggestUrl: "https://search.brave.com/api/suggest?q=%s",
+  },
+  {
+    id: "wikipedia",
+    name: "Wikipedia",
+    keyword: "w",
+    template: "https://en.wikipedia.org/wiki/Special:Search?search=%s",
+    suggestUrl: "https://en.wikipedia.org/w/api.php?action=opensearch&format=json&search=%s",
+  },
+  {
+    id: "youtube",
+    name: "YouTube",
+    keyword: "yt",
+    template: "https://www.youtube.com/results?search_query=%s",
+    suggestUrl: "https://suggestqueries.google.com/complete/search?client=firefox&ds=yt&q=%s",
+  },
+];
+
+// Same rule as the server's client.searchEngine option
+function isValidSearchTemplate(template) {
+  return typeof template === "string" && /^https?:\/\//.test(template) && template.includes("%s");
+}
+
+function isValidSearchEngine(engine) {
+  return (
+    engine !== null &&
+    typeof engine === "object" &&
+    typeof engine.id === "string" &&
+    typeof engine.name === "string" &&
+    engine.name.trim() !== "" &&
+    typeof engine.keyword === "string" &&
+    !/\s/.test(engine.keyword) &&
+    isValidSearchTemplate(engine.template) &&
+    (!engine.suggestUrl || isValidSearchTemplate(engine.suggestUrl))
+  );
+}
+
+// The engine for the server's default template, when no preset uses it
+function getServerSearchEngine() {
+  const template = self.__nova$config.searchEngine;
+  let name = "Default";
+  try {
+    name = new URL(template.replace("%s", "")).hostname.replace(/^www\./, "");
+  } catch (e) {
+    // Keep the generic name
+  }
+  return { id: "server", name, keyword: "", template, suggestUrl: "" };
+}
+
+// The user's engines, or the presets until they save their own list
+function getSearchEngines() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SEARCH_ENGINES_KEY));
+    if (Array.isArray(saved)) {
+      const engines = saved.filter(isValidSearchEngine);
+      if (engines.length > 0) return engines;
+    }
+  } catch (e) {
+    // Fall back to the presets
+  }
+  const engines = PRESET_SEARCH_ENGINES.map((engine) => ({ ...engine }));
+  if (!engines.some((engine) => engine.template === self.__nova$config.searchEngine)) {
+    engines.unshift(getServerSearchEngine());
+  }
+  return engines;
+}
+
+// The engine chosen as default, else the one the server's template belongs to
+function getDefaultSearchEngine(engines = getSearchEngines()) {
+  const id = localStorage.getItem(DEFAULT_SEARCH_ENGINE_KEY);
+  return (
+    engines.find((engine) => engine.id === id) ||
+    engines.find((engine) => engine.template === self.__nova$config.searchEngine) ||
+    engines[0]
+  );
+}
+
+function saveSearchEngines(engines, defaultId) {
+  localStorage.setItem(SEARCH_ENGINES_KEY, JSON.stringify(engines.filter(isValidSearchEngine)));
+  localStorage.setItem(DEFAULT_SEARCH_ENGINE_KEY, defaultId);
+}
+
+function createSearchEngineId() {
+  return "custom-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// The engine and query when input is a keyword, a space and a query, or null.
+// A keyword on its own ("w") is searched for like any other word.
+function findSearchKeyword(input, engines = getSearchEngines()) {
+  const match = /^(\S+)\s+(\S.*)$/.exec(input.trim());
+  if (!match) return null;
+  const keyword = match[1].toLowerCase();
+  const engine = engines.find((candidate) => candidate.keyword && candidate.keyword.toLowerCase() === keyword);
+  return engine ? { engine, query: match[2] } : null;
+}
+
+function getSearchUrl(engine, query) {
+  return engine.template.replace("%s", encodeURIComponent(query));
+}
+
+// Suggestions from an OpenSearch JSON response
+function parseSearchSuggestions(data) {
+  if (!Array.isArray(data) || !Array.isArray(data[1])) return [];
+  return data[1].filter((suggestion) => typeof suggestion === "string");
+}
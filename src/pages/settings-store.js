@@ -0,0 +1,59 @@
+"use strict";
+
+// Settings shared by the app (client.js) and the settings page.
+// Saved values live in localStorage. Values never saved use the server's
+// defaults, and values the operator locked always use the server's value
+// (both from nova-config.js).
+
+// localStorage key of each setting
+const SETTING_KEYS = {
+  wispServer: "nova-wisp-server",
+  proxyEngine: "nova-proxy-engine",
+  adBlock: "nova-ad-block",
+  preserveCookies: "nova-preserve-cookies",
+  usePreferredTransport: "nova-use-preferred-transport",
+  transport: "nova-transport",
+  history: "nova-history-enabled",
+  searchSuggestions: "nova-search-suggestions",
+};
+
+// Whether the operator locked a setting to the server's value
+function isSettingLocked(name) {
+  return self.__nova$config.locked.includes(name);
+}
+
+// The value a setting has when it isn't saved (or is locked)
+function getDefaultSetting(name) {
+  const config = self.__nova$config;
+  if (name === "wispServer") {
+    // Empty means the server's wisp URL, so only a lock pins it here
+    return isSettingLocked(name) ? config.wispUrl : "";
+  }
+  return config.defaults[name];
+}
+
+function readSetting(name) {
+  const fallback = getDefaultSetting(name);
+  if (isSettingLocked(name)) return fallback;
+  const value = localStorage.getItem(SETTING_KEYS[name]);
+  if (value === null || value === "") return fallback;
+  return typeof fallback === "boolean" ? value === "true" : value;
+}
+
+// Get every setting by name, with the own values of a container's tabs
+// when given its id (containers-store.js)
+function getSettings(containerId = "") {
+  const settings = {};
+  for (const name of Object.keys(SETTING_KEYS)) {
+    settings[name] = readSetting(name);
+  }
+  const container = containerId ? getContainer(containerId) : null;
+  if (container) applyContainerSettings(settings, container);
+  return settings;
+}
+
+// Save a setting, unless the operator locked it
+function saveSetting(name, value) {
+  if (isSettingLocked(name)) return;
+  localStorage.setItem(SETTING_KEYS[name], String(value));
+}
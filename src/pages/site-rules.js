@@ -0,0 +1,70 @@
+"use strict";
+
+// Per-site engine and transport rules, shared by the app (client.js) and the
+// settings page. Rules are checked in order and the first one whose pattern
+// matches the hostname wins. An empty engine or transport keeps the global
+// setting.
+
+const SITE_RULES_KEY = "nova-site-rules";
+
+const SITE_RULE_ENGINES = ["scramjet", "ultraviolet"];
+const SITE_RULE_TRANSPORTS = ["libcurl", "epoxy"];
+
+function isValidSiteRule(rule) {
+  return (
+    rule !== null &&
+    typeof rule === "object" &&
+    typeof rule.pattern === "string" &&
+    rule.pattern.trim() !== "" &&
+    (!rule.engine || SITE_RULE_ENGINES.includes(rule.engine)) &&
+    (!rule.transport || SITE_RULE_TRANSPORTS.includes(rule.transport))
+  );
+}
+
+// Saved rules as [{ pattern, engine, transport }]
+function getSiteRules() {
+  try {
+    const rules = JSON.parse(localStorage.getItem(SITE_RULES_KEY) || "[]");
+    return Array.isArray(rules) ? rules.filter(isValidSiteRule) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveSiteRules(rules) {
+  localStorage.setItem(SITE_RULES_KEY, JSON.stringify(rules.filter(isValidSiteRule)));
+}
+
+// Whether `hostname` matches a rule pattern. A plain name such as
+// "example.com" matches the site and its subdomains, and "*" matches any run
+// of characters ("*.example.*").
+function matchesHostPattern(pattern, hostname) {
+  pattern = pattern.trim().toLowerCase();
+  if (!pattern.includes("*")) {
+    return hostname === pattern || hostname.endsWith("." + pattern);
+  }
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp("^" + source + "$").test(hostname);
+}
+
+// The first rule that matches a URL, or null
+function findSiteRule(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  return getSiteRules().find((rule) => matchesHostPattern(rule.pattern, hostname)) || null;
+}
+
+// Save a rule in front of the others, replacing any rule with the same
+// pattern
+function rememberSiteRule(rule) {
+  const pattern = rule.pattern.trim().toLowerCase();
+  const rules = getSiteRules().filter((existing) => existing.pattern.trim().toLowerCase() !== pattern);
+  saveSiteRules([rule, ...rules]);
+}
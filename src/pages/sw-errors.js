@@ -0,0 +1,30 @@
+/*
+ * Shared by the Scramjet and Ultraviolet service workers.
+ * A page load the proxy engine throws on gets this error page instead of a
+ * bare network error. The app looks for the nova-proxy-error marker to retry
+ * the page with the other engine.
+ */
+function escapeErrorHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => '&#' + char.charCodeAt(0) + ';');
+}
+
+function proxyErrorResponse(error) {
+  const message = escapeErrorHtml(error && error.message ? error.message : error);
+  return new Response(
+    '<!doctype html><meta charset="utf-8"><meta name="nova-proxy-error">' +
+      '<title>Failed to load</title><p>This page failed to load through the proxy.</p><pre>' + message + '</pre>',
+    { status: 502, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+  );
+}
+
+// Handle a fetch event with `handler`, answering page loads it throws on with
+// the error page
+async function respondWithProxyErrors(event, handler) {
+  try {
+    return await handler(event);
+  } catch (error) {
+    if (event.request.mode !== 'navigate') throw error;
+    console.error('Proxy failed to load ' + event.request.url, error);
+    return proxyErrorResponse(error);
+  }
+}
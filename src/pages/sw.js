@@ -1,12 +1,68 @@
-importScripts("/scram/scramjet.all.js");
+// Paths are relative to this script, which is served at the base path
+importScripts("scram/scramjet.all.js");
+importScripts("sw-errors.js");
+importScripts("nova-config.js");
+importScripts("containers-store.js");
+
+// Stores Scramjet's controller creates in its database
+const SCRAMJET_STORES = ["config", "cookies", "redirectTrackers", "referrerPolicies", "publicSuffixList"];
+
+// A container's registration of this worker (see containers-store.js) keeps
+// Scramjet's cookies and other data in a database of its own. Scramjet always
+// opens "$scramjet", so that name is sent to the container's database, and
+// Nova's config is copied into it with the container's path as the prefix.
+function useContainerDatabase(containerId) {
+  const open = indexedDB.open.bind(indexedDB);
+  const name = getContainerDatabaseName(containerId);
+  indexedDB.open = (dbName, version) => {
+    if (dbName !== "$scramjet") return open(dbName, version);
+    const request = open(name, version);
+    request.addEventListener("upgradeneeded", () => {
+      for (const store of SCRAMJET_STORES) {
+        if (!request.result.objectStoreNames.contains(store)) request.result.createObjectStore(store);
+      }
+    });
+    return request;
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = open("$scramjet", 1);
+    // The app sets up Scramjet's database before it loads any page
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const read = request.result.transaction("config", "readonly").objectStore("config").get("config");
+      read.onerror = () => reject(read.error);
+      read.onsuccess = () => {
+        request.result.close();
+        const config = { ...read.result, prefix: getContainerScope(containerId) };
+        const containerRequest = indexedDB.open("$scramjet", 1);
+        containerRequest.onerror = () => reject(containerRequest.error);
+        containerRequest.onsuccess = () => {
+          const transaction = containerRequest.result.transaction("config", "readwrite");
+          transaction.objectStore("config").put(config, "config");
+          transaction.oncomplete = () => {
+            containerRequest.result.close();
+            resolve();
+          };
+          transaction.onerror = () => reject(transaction.error);
+        };
+      };
+    };
+  });
+}
+
+const containerId = getScopeContainerId(self.registration.scope);
+const containerReady = containerId ? useContainerDatabase(containerId) : Promise.resolve();
 
 const { ScramjetServiceWorker } = $scramjetLoadWorker();
 const scramjet = new ScramjetServiceWorker();
 
 async function handleRequest(event) {
+  await containerReady;
   await scramjet.loadConfig();
   if (scramjet.route(event)) {
-    return scramjet.fetch(event);
+    return respondWithProxyErrors(event, (e) => scramjet.fetch(e));
   }
   return fetch(event.request);
 }
@@ -3,10 +3,12 @@
  * Ultraviolet service worker for Nova Proxy.
  * This file wraps the Ultraviolet service worker with our configuration.
  */
-importScripts('/uv/uv.bundle.js');
-importScripts('/uv.config.js');
-importScripts('/uv/uv.sw.js');
+importScripts('uv/uv.bundle.js');
+importScripts('nova-config.js');
+importScripts('uv.config.js');
+importScripts('uv/uv.sw.js');
+importScripts('sw-errors.js');
 
 const sw = new UVServiceWorker();
 
-self.addEventListener('fetch', (event) => event.respondWith(sw.fetch(event)));
+self.addEventListener('fetch', (event) => event.respondWith(respondWithProxyErrors(event, (e) => sw.fetch(e))));
@@ -1,11 +1,17 @@
 /*global Ultraviolet*/
-self.__uv$config = {
-    prefix: '/service/',
-    encodeUrl: Ultraviolet.codec.xor.encode,
-    decodeUrl: Ultraviolet.codec.xor.decode,
-    handler: '/uv/uv.handler.js',
-    client: '/uv/uv.client.js',
-    bundle: '/uv/uv.bundle.js',
-    config: '/uv/uv.config.js',
-    sw: '/uv/uv.sw.js',
-};
+// The server (client-config.js) writes the path Nova is served under into
+// this file, since pages proxied by Ultraviolet and their workers load it
+// without the runtime config or a document to work the path out from.
+self.__uv$config = (function () {
+    const base = __NOVA_BASE_PATH__;
+    return {
+        prefix: base + 'service/',
+        encodeUrl: Ultraviolet.codec.xor.encode,
+        decodeUrl: Ultraviolet.codec.xor.decode,
+        handler: base + 'uv/uv.handler.js',
+        client: base + 'uv/uv.client.js',
+        bundle: base + 'uv/uv.bundle.js',
+        config: base + 'uv.config.js',
+        sw: base + 'uv/uv.sw.js',
+    };
+})();
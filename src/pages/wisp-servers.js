@@ -0,0 +1,105 @@
+"use strict";
+
+// Wisp servers the app can connect through, shared by the app (client.js)
+// and the settings page. Needs settings-store.js.
+
+// How long a server may take to greet a probe before it counts as down
+const WISP_PROBE_TIMEOUT_MS = 4000;
+
+// Close code of a server turning a connection away for being over its limit
+const WISP_TRY_AGAIN_LATER = 1013;
+
+// localStorage key of the server the app last switched to
+const WISP_ACTIVE_KEY = "nova-wisp-active";
+
+// This server's own wisp endpoint
+function getOwnWispUrl() {
+  return (location.protocol === "https:" ? "wss" : "ws") + "://" + location.host + self.__nova$config.wispPath;
+}
+
+// Split the wisp server setting (one URL per line) into a list
+function parseWispServers(value) {
+  return value.split(/\s+/).filter(Boolean);
+}
+
+// Whether a server URL is a WebSocket URL, the only kind a wisp server has
+function isWispServerUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "ws:" || protocol === "wss:";
+  } catch (e) {
+    return false;
+  }
+}
+
+// Servers to try in order of preference: the user's list followed by the
+// server's default. A locked setting pins the list to the operator's choice.
+function getWispServers() {
+  const servers = parseWispServers(getSettings().wispServer);
+  if (isSettingLocked("wispServer")) {
+    return servers.length ? servers : [getOwnWispUrl()];
+  }
+  servers.push(self.__nova$config.wispUrl || getOwnWispUrl());
+  return [...new Set(servers)];
+}
+
+// Time how long a server takes to greet a new connection. Wisp servers send
+// a packet as soon as the socket opens, so that is the round trip measured.
+// Nova servers answer ?probe with just the greeting, without counting it
+// against the client's connections; a server refusing a connection because
+// this client has too many still counts as up. Resolves to
+// { url, ok, latency, error, checkedAt } and never rejects.
+function probeWispServer(url) {
+  return new Promise((resolve) => {
+    const started = performance.now();
+    let socket = null;
+    let timer = null;
+
+    function finish(result) {
+      if (timer === null) return;
+      clearTimeout(timer);
+      timer = null;
+      if (socket) {
+        socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+        socket.close();
+      }
+      resolve({ url, ok: false, latency: null, error: null, checkedAt: Date.now(), ...result });
+    }
+
+    timer = setTimeout(() => finish({ error: "Timed out" }), WISP_PROBE_TIMEOUT_MS);
+    try {
+      const probeUrl = new URL(url);
+      probeUrl.searchParams.set("probe", "");
+      socket = new WebSocket(probeUrl);
+    } catch (e) {
+      finish({ error: "Invalid URL" });
+      return;
+    }
+    socket.binaryType = "arraybuffer";
+    const answered = () => finish({ ok: true, latency: Math.round(performance.now() - started) });
+    socket.onmessage = answered;
+    socket.onerror = () => finish({ error: "Unreachable" });
+    socket.onclose = (e) => (e.code === WISP_TRY_AGAIN_LATER ? answered() : finish({ error: "Closed" }));
+  });
+}
+
+// Probe every server at once, giving a promise for each one's result
+function probeWispServers(urls) {
+  return urls.map(probeWispServer);
+}
+
+// The result of the first of `probes` to hear from its server, or null once
+// none has
+function firstWispServerUp(probes) {
+  return Promise.any(probes.map((probe) => probe.then((result) => (result.ok ? result : Promise.reject(result)))))
+    .catch(() => null);
+}
+
+// The fastest server that answered, earlier servers winning ties
+function pickWispServer(results) {
+  let best = null;
+  for (const result of results) {
+    if (result.ok && (!best || result.latency < best.latency)) best = result;
+  }
+  return best;
+}
@@ -0,0 +1,118 @@
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast and
+// reserved ranges. Denied unless policy.allowPrivate is set or an address is
+// explicitly allowed with policy.allowCidrs.
+const PRIVATE_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "224.0.0.0/4",
+  "240.0.0.0/4",
+  "::/128",
+  "::1/128",
+  "fc00::/7",
+  "fe80::/10",
+  "ff00::/8",
+];
+
+// Parse "10.0.0.0/8" or "::1" into a BlockList entry, or null if invalid
+export function parseCidr(entry) {
+  const [address, prefix] = entry.split("/");
+  const family = isIP(address);
+  if (!family) return null;
+  const bits = family === 4 ? 32 : 128;
+  const length = prefix === undefined ? bits : Number(prefix);
+  if (!Number.isInteger(length) || length < 0 || length > bits) return null;
+  return { address, prefix: length, type: family === 4 ? "ipv4" : "ipv6" };
+}
+
+// Parse "443" or "8000-8999" into a [from, to] range, or null if invalid
+export function parsePortRange(entry) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(entry.trim());
+  if (!match) return null;
+  const from = Number(match[1]);
+  const to = match[2] === undefined ? from : Number(match[2]);
+  if (from > to || to > 65535) return null;
+  return [from, to];
+}
+
+// "*.example.com" matches any subdomain of example.com (but not example.com)
+function globToRegExp(glob) {
+  const pattern = glob
+    .toLowerCase()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp("^" + pattern + "$");
+}
+
+function createBlockList(entries) {
+  const list = new BlockList();
+  for (const entry of entries) {
+    const { address, prefix, type } = parseCidr(entry);
+    list.addSubnet(address, prefix, type);
+  }
+  return list;
+}
+
+// Check an IP against a BlockList, treating IPv4-mapped IPv6 as IPv4
+function listContains(list, address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+  return list.check(address, isIP(address) === 4 ? "ipv4" : "ipv6");
+}
+
+// Create the destination policy for outgoing wisp streams.
+// check() resolves the destination and returns { allowed, reason, address },
+// with `unreachable` set when the hostname could not be resolved at all;
+// callers should connect to `address` so a second DNS lookup can't be used
+// to reach a different (denied) host.
+export function createPolicy(options) {
+  const privateRanges = createBlockList(PRIVATE_RANGES);
+  const allowCidrs = createBlockList(options.allowCidrs);
+  const denyCidrs = createBlockList(options.denyCidrs);
+  const allowHosts = options.allowHosts.map(globToRegExp);
+  const denyHosts = options.denyHosts.map(globToRegExp);
+  const allowPorts = options.allowPorts.map(parsePortRange);
+  const denyPorts = options.denyPorts.map(parsePortRange);
+
+  const portIn = (ranges, port) => ranges.some(([from, to]) => port >= from && port <= to);
+  const hostIn = (patterns, hostname) => patterns.some((pattern) => pattern.test(hostname));
+
+  const deny = (reason) => ({ allowed: false, reason, address: null });
+
+  async function check({ udp, hostname, port }) {
+    const host = hostname.toLowerCase().replace(/\.$/, "");
+
+    if (udp && !options.allowUdp) return deny("UDP streams are disabled");
+    if (portIn(denyPorts, port)) return deny(`port ${port} is denied`);
+    if (allowPorts.length && !portIn(allowPorts, port)) return deny(`port ${port} is not allowed`);
+    if (hostIn(denyHosts, host)) return deny(`host ${host} is denied`);
+    if (allowHosts.length && !hostIn(allowHosts, host)) return deny(`host ${host} is not allowed`);
+
+    let address = host.replace(/^\[(.*)\]$/, "$1");
+    if (!isIP(address)) {
+      try {
+        ({ address } = await lookup(address));
+      } catch (err) {
+        return { ...deny(`could not resolve ${host} (${err.code || err.message})`), unreachable: true };
+      }
+    }
+
+    if (listContains(denyCidrs, address)) return deny(`address ${address} is denied`);
+    if (!listContains(allowCidrs, address) && !options.allowPrivate && listContains(privateRanges, address)) {
+      return deny(`address ${address} is in a private range`);
+    }
+    return { allowed: true, reason: null, address };
+  }
+
+  return { check };
+}
@@ -0,0 +1,331 @@
+import { randomBytes } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { server as wisp, packet } from "@mercuryworkshop/wisp-js/server";
+import { safeEqual } from "./auth.js";
+
+const { close_reasons, stream_types, WispPacket, ContinuePayload } = packet;
+
+// Header carrying the relay's probe token on readiness probe connections
+export const PROBE_HEADER = "x-nova-probe";
+
+// Query parameter of the app's wisp server checks. Browsers can't send
+// headers on a WebSocket, so these ask with ?probe and only get the greeting.
+export const GREETING_PROBE_PARAM = "probe";
+
+// Count (and throttle) the bytes going through a stream's socket
+function meterSocket(socket, transfer) {
+  const send = socket.send.bind(socket);
+  const recv = socket.recv.bind(socket);
+  socket.send = async (data) => {
+    await transfer("up", data.byteLength);
+    return send(data);
+  };
+  socket.recv = async () => {
+    const data = await recv();
+    if (data) await transfer("down", data.byteLength);
+    return data;
+  };
+}
+
+// A wisp connection that runs every new stream past the client limits and
+// the destination policy before connecting it. This replaces the stock
+// wisp-js stream filter.
+class RelayConnection extends wisp.ServerConnection {
+  constructor(ws, path, options, relay, client) {
+    super(ws, path, options);
+    this.relay = relay;
+    this.clientIp = client.ip;
+    this.clientKey = client.key;
+    this.user = client.user;
+    this.probe = Boolean(client.probe);
+    this.openedAt = Date.now();
+    this.bytesUp = 0;
+    this.bytesDown = 0;
+  }
+
+  // Account for bytes relayed by one of this connection's streams
+  transfer(stream, direction, bytes) {
+    const key = direction === "up" ? "bytesUp" : "bytesDown";
+    stream[key] += bytes;
+    this[key] += bytes;
+    this.relay.stats.transfer(stream.hostname, direction, bytes);
+    return this.relay.limiter.transfer(this.clientKey, direction, bytes);
+  }
+
+  // The audit log fields shared by every entry about a stream
+  streamEntry(stream) {
+    return {
+      connection: this.conn_id,
+      stream: stream.stream_id,
+      client: this.clientIp,
+      user: this.user,
+      destination: stream.hostname + ":" + stream.port,
+      protocol: stream.protocol,
+    };
+  }
+
+  // Record a stream that could not be opened
+  streamFailed(stream, reason, detail) {
+    this.relay.stats.streamFailed(reason);
+    this.relay.audit.log("stream_failed", { ...this.streamEntry(stream), reason, detail });
+  }
+
+  // Close the WebSocket, which also closes all of its streams
+  terminate(reason, code = 1000) {
+    this.ws.close(code, reason);
+  }
+
+  describe() {
+    return {
+      id: this.conn_id,
+      client: this.clientIp,
+      user: this.user,
+      openedAt: this.openedAt,
+      bytesUp: this.bytesUp,
+      bytesDown: this.bytesDown,
+      streams: Object.values(this.streams).map((stream) => ({
+        id: stream.stream_id,
+        destination: stream.hostname + ":" + stream.port,
+        openedAt: stream.openedAt,
+        bytesUp: stream.bytesUp,
+        bytesDown: stream.bytesDown,
+      })),
+    };
+  }
+
+  create_stream(stream_id, type, hostname, port) {
+    if (this.probe) {
+      this.create_probe_stream(stream_id, hostname, port);
+      return;
+    }
+    const { limiter, stats, audit } = this.relay;
+    const udp = type === stream_types.UDP;
+    const SocketImpl = udp ? this.UDPSocket : this.TCPSocket;
+    const stream = new wisp.ServerStream(stream_id, this, new SocketImpl(hostname, port));
+    Object.assign(stream, {
+      hostname,
+      port,
+      protocol: udp ? "udp" : "tcp",
+      openedAt: Date.now(),
+      bytesUp: 0,
+      bytesDown: 0,
+    });
+    const throttled = limiter.openStream(this.clientKey, Object.keys(this.streams).length);
+    this.streams[stream_id] = stream;
+
+    if (throttled) {
+      console.warn(`Throttled stream from ${this.clientKey} to ${hostname}:${port}: ${throttled}`);
+      this.streamFailed(stream, "throttled", throttled);
+      this.close_stream(stream_id, close_reasons.ConnThrottled, true);
+      return;
+    }
+    stream.limited = true;
+    meterSocket(stream.socket, (direction, bytes) => this.transfer(stream, direction, bytes));
+
+    // Connect in the background, like the stock implementation
+    (async () => {
+      const verdict = await this.relay.policy.check({ udp, hostname, port });
+      if (!verdict.allowed) {
+        const label = verdict.unreachable ? "Failed to open" : "Blocked";
+        console.warn(`${label} stream from ${this.clientIp} to ${hostname}:${port}: ${verdict.reason}`);
+        this.streamFailed(stream, verdict.unreachable ? "unreachable" : "blocked", verdict.reason);
+        const reason = verdict.unreachable ? close_reasons.UnreachableHost : close_reasons.HostBlocked;
+        await this.close_stream(stream_id, reason, true);
+        return;
+      }
+      // Connect to the address the policy checked, not a fresh DNS answer
+      stream.socket.hostname = verdict.address;
+      try {
+        await stream.setup();
+        stream.opened = true;
+        stats.streamOpened(hostname);
+        audit.log("stream_open", this.streamEntry(stream));
+      } catch (error) {
+        this.streamFailed(stream, "network_error", error.message);
+        await this.close_stream(stream_id, close_reasons.NetworkError);
+      }
+    })();
+  }
+
+  // Readiness probes connect back to this server, so they skip the limits,
+  // the destination policy and the statistics
+  create_probe_stream(stream_id, hostname, port) {
+    const stream = new wisp.ServerStream(stream_id, this, new this.TCPSocket(hostname, port));
+    this.streams[stream_id] = stream;
+    stream.setup().catch(() => this.close_stream(stream_id, close_reasons.NetworkError));
+  }
+
+  async close_stream(stream_id, reason = null, quiet = false) {
+    const stream = this.streams[stream_id];
+    if (stream && stream.limited) {
+      stream.limited = false;
+      this.relay.limiter.closeStream(this.clientKey);
+    }
+    if (stream && stream.opened) {
+      stream.opened = false;
+      this.relay.audit.log("stream_close", {
+        ...this.streamEntry(stream),
+        reason,
+        duration: Date.now() - stream.openedAt,
+        bytesUp: stream.bytesUp,
+        bytesDown: stream.bytesDown,
+      });
+    }
+    await super.close_stream(stream_id, reason, quiet);
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "::ffff:127.0.0.1" -> "127.0.0.1"
+function normalizeIp(address) {
+  return address && address.startsWith("::ffff:") ? address.slice(7) : address;
+}
+
+// The client address of a raw request, honoring the proxy headers wisp-js
+// trusts
+export function clientIp(req) {
+  return wisp.parse_real_ip(req.headers, normalizeIp(req.socket.remoteAddress));
+}
+
+// Create the wisp relay that handles WebSocket upgrades on the wisp path.
+// Cluster workers share one `probeToken` since a probe may reach any worker.
+export function createRelay({ policy, limiter, stats, audit, probeToken = randomBytes(32).toString("hex") }) {
+  const wss = new WebSocketServer({ noServer: true });
+  // Open wisp connections by connection id
+  const connections = new Map();
+  const relay = {
+    policy,
+    limiter,
+    stats,
+    audit,
+    connections,
+    probeToken,
+    draining: false,
+    isProbe,
+    handleUpgrade,
+    closeConnection,
+    drain,
+  };
+
+  function isProbe(req) {
+    const token = req.headers[PROBE_HEADER];
+    return typeof token === "string" && safeEqual(token, probeToken);
+  }
+
+  async function serveProbe(ws, req) {
+    ws.binaryType = "arraybuffer";
+    const path = new URL(req.url, "http://localhost").pathname;
+    const connection = new RelayConnection(ws, path, { wisp_version: 1 }, relay, { ip: "probe", key: "probe", user: null, probe: true });
+    try {
+      await connection.setup();
+      await connection.run();
+    } catch (error) {
+      ws.close();
+    }
+  }
+
+  // Wisp servers greet with a CONTINUE packet for stream 0, which is all the
+  // app's server checks wait for. The socket closes right after, so it takes
+  // no connection slot and isn't logged or counted.
+  function serveGreeting(ws) {
+    const greeting = new WispPacket({
+      type: ContinuePayload.type,
+      stream_id: 0,
+      payload: new ContinuePayload({ buffer_remaining: wisp.ServerStream.buffer_size }),
+    });
+    ws.send(greeting.serialize().bytes);
+    ws.close(1000);
+  }
+
+  async function serve(ws, req, user) {
+    if (new URL(req.url, "http://localhost").searchParams.has(GREETING_PROBE_PARAM)) {
+      serveGreeting(ws);
+      return;
+    }
+    if (isProbe(req)) {
+      await serveProbe(ws, req);
+      return;
+    }
+    ws.binaryType = "arraybuffer";
+    const ip = clientIp(req);
+    const path = new URL(req.url, "http://localhost").pathname;
+    const key = limiter.keyFor(ip, user);
+    if (!limiter.openConnection(key)) {
+      console.warn(`Refused connection from ${key}: more than ${limiter.options.maxConnections} connections`);
+      audit.log("upgrade", { client: ip, user, path, result: "too_many_connections" });
+      ws.close(1013, "Too many connections");
+      return;
+    }
+
+    const wispVersion = req.headers["sec-websocket-protocol"] && wisp.options.wisp_version === 2 ? 2 : 1;
+    const connection = new RelayConnection(ws, path, { wisp_version: wispVersion }, relay, { ip, key, user });
+    connections.set(connection.conn_id, connection);
+    stats.connectionOpened();
+    audit.log("upgrade", { client: ip, user, path, result: "accepted", connection: connection.conn_id, wispVersion });
+    try {
+      await connection.setup();
+      await connection.run();
+    } catch (error) {
+      // Handshake failures just drop the socket
+      ws.close();
+    } finally {
+      connections.delete(connection.conn_id);
+      limiter.closeConnection(key);
+      audit.log("connection_close", {
+        connection: connection.conn_id,
+        client: ip,
+        user,
+        duration: Date.now() - connection.openedAt,
+        bytesUp: connection.bytesUp,
+        bytesDown: connection.bytesDown,
+      });
+    }
+  }
+
+  // Forcibly close a connection by id; returns false if it doesn't exist
+  function closeConnection(id, reason = "Closed by server") {
+    const connection = connections.get(id);
+    if (!connection) return false;
+    connection.terminate(reason);
+    return true;
+  }
+
+  // Refuse new connections and give the open ones up to `timeout` ms to
+  // finish. Whatever is still open after that is closed with 1012
+  // (service restart) so clients know to reconnect, and cut a second later.
+  async function drain(timeout) {
+    relay.draining = true;
+    await waitFor(() => connections.size === 0, timeout);
+    for (const connection of connections.values()) {
+      connection.terminate("Server restarting", 1012);
+    }
+    // Don't wait on clients that never answer the close handshake
+    await waitFor(() => wss.clients.size === 0, 1000);
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+  }
+
+  async function waitFor(condition, timeout) {
+    const deadline = Date.now() + timeout;
+    while (!condition() && Date.now() < deadline) {
+      await sleep(250);
+    }
+  }
+
+  // `user` is the authenticated user name, if any
+  function handleUpgrade(req, socket, head, user = null) {
+    if (relay.draining) {
+      const { pathname: path, searchParams } = new URL(req.url, "http://localhost");
+      if (!searchParams.has(GREETING_PROBE_PARAM)) {
+        audit.log("upgrade", { client: clientIp(req), user, path, result: "draining" });
+      }
+      socket.end("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => serve(ws, req, user));
+  }
+
+  return relay;
+}
@@ -0,0 +1,113 @@
+// Keep at most this many destination hosts; the least used are dropped first
+const MAX_TRACKED_HOSTS = 1000;
+
+// How many of the busiest hosts are reported
+const TOP_HOSTS = 10;
+
+// Create the traffic statistics shared by the relay and the admin view
+export function createStats() {
+  const startedAt = Date.now();
+  const totals = {
+    connections: 0,
+    streams: 0,
+    bytesUp: 0,
+    bytesDown: 0,
+  };
+  // Streams that could not be opened, by reason
+  const failures = {};
+  const hosts = new Map();
+
+  function getHost(hostname) {
+    let host = hosts.get(hostname);
+    if (!host) {
+      if (hosts.size >= MAX_TRACKED_HOSTS) pruneHosts();
+      host = { hostname, streams: 0, bytesUp: 0, bytesDown: 0 };
+      hosts.set(hostname, host);
+    }
+    return host;
+  }
+
+  // Drop the least used half of the tracked hosts
+  function pruneHosts() {
+    const sorted = Array.from(hosts.values()).sort((a, b) => a.streams - b.streams);
+    for (const host of sorted.slice(0, sorted.length / 2)) {
+      hosts.delete(host.hostname);
+    }
+  }
+
+  function connectionOpened() {
+    totals.connections++;
+  }
+
+  function streamOpened(hostname) {
+    totals.streams++;
+    getHost(hostname).streams++;
+  }
+
+  // reason is "throttled", "blocked", "unreachable" or "network_error"
+  function streamFailed(reason) {
+    failures[reason] = (failures[reason] || 0) + 1;
+  }
+
+  function transfer(hostname, direction, bytes) {
+    const key = direction === "up" ? "bytesUp" : "bytesDown";
+    totals[key] += bytes;
+    getHost(hostname)[key] += bytes;
+  }
+
+  // A plain copy of the counters, for merging with other processes
+  function snapshot() {
+    return {
+      startedAt,
+      totals: { ...totals },
+      failures: { ...failures },
+      hosts: Array.from(hosts.values(), (host) => ({ ...host })),
+    };
+  }
+
+  return {
+    startedAt,
+    totals,
+    failures,
+    connectionOpened,
+    streamOpened,
+    streamFailed,
+    transfer,
+    snapshot,
+  };
+}
+
+// Hosts with the most streams opened first
+function sortHosts(hosts) {
+  return Array.from(hosts, (host) => ({ ...host }))
+    .sort((a, b) => b.streams - a.streams || b.bytesDown - a.bytesDown);
+}
+
+// Add up the snapshots of several processes (cluster workers). The result
+// has the busiest hosts in `topHosts`.
+export function mergeStats(snapshots) {
+  const merged = {
+    startedAt: Math.min(...snapshots.map((snapshot) => snapshot.startedAt)),
+    totals: { connections: 0, streams: 0, bytesUp: 0, bytesDown: 0 },
+    failures: {},
+  };
+  const hosts = new Map();
+  for (const snapshot of snapshots) {
+    for (const key of Object.keys(merged.totals)) merged.totals[key] += snapshot.totals[key];
+    for (const [reason, count] of Object.entries(snapshot.failures)) {
+      merged.failures[reason] = (merged.failures[reason] || 0) + count;
+    }
+    for (const host of snapshot.hosts) {
+      const total = hosts.get(host.hostname);
+      if (!total) {
+        hosts.set(host.hostname, { ...host });
+        continue;
+      }
+      total.streams += host.streams;
+      total.bytesUp += host.bytesUp;
+      total.bytesDown += host.bytesDown;
+    }
+  }
+  merged.topHosts = sortHosts(hosts.values()).slice(0, TOP_HOSTS);
+  return merged;
+}
@@ -0,0 +1,130 @@
+import { X509Certificate } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, unwatchFile, watchFile, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { hostname, networkInterfaces } from "node:os";
+import { dirname, resolve } from "node:path";
+import selfsigned from "selfsigned";
+
+// Where the generated self-signed certificate is kept when tls.cert and
+// tls.key are not set, relative to the working directory
+const SELF_SIGNED_CERT = "certs/self-signed-cert.pem";
+const SELF_SIGNED_KEY = "certs/self-signed-key.pem";
+
+// Validity of a generated certificate, and how long before it runs out a
+// new one is generated on startup
+const SELF_SIGNED_DAYS = 365;
+const RENEW_BEFORE_DAYS = 30;
+
+// How often certificate files are checked for changes
+const WATCH_INTERVAL_MS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The certificate and key files the server uses
+export function certificateFiles(options) {
+  if (options.cert && options.key) {
+    return { cert: resolve(options.cert), key: resolve(options.key) };
+  }
+  return { cert: resolve(SELF_SIGNED_CERT), key: resolve(SELF_SIGNED_KEY) };
+}
+
+// Names and addresses this machine can be reached by on the LAN
+function localNames() {
+  const names = new Set(["localhost", hostname()]);
+  const addresses = new Set(["127.0.0.1", "::1"]);
+  for (const entries of Object.values(networkInterfaces())) {
+    for (const entry of entries || []) addresses.add(entry.address.split("%")[0]);
+  }
+  return { names: [...names], addresses: [...addresses] };
+}
+
+function needsNewCertificate(files) {
+  if (!existsSync(files.cert) || !existsSync(files.key)) return true;
+  try {
+    const certificate = new X509Certificate(readFileSync(files.cert));
+    return Date.parse(certificate.validTo) - Date.now() < RENEW_BEFORE_DAYS * DAY_MS;
+  } catch {
+    return true;
+  }
+}
+
+// Generate the self-signed certificate when tls.selfSigned is on and no
+// certificate was given. An existing one is reused until it nearly expires,
+// so browsers don't have to trust a new certificate on every start.
+export async function prepareCertificate(options) {
+  if (!options.enabled || !options.selfSigned || (options.cert && options.key)) return;
+  const files = certificateFiles(options);
+  if (!needsNewCertificate(files)) return;
+
+  const { names, addresses } = localNames();
+  const notBeforeDate = new Date();
+  const pems = await selfsigned.generate([{ name: "commonName", value: hostname() }], {
+    keySize: 2048,
+    algorithm: "sha256",
+    notBeforeDate,
+    notAfterDate: new Date(notBeforeDate.getTime() + SELF_SIGNED_DAYS * DAY_MS),
+    extensions: [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+      { name: "extKeyUsage", serverAuth: true },
+      {
+        name: "subjectAltName",
+        altNames: [
+          ...names.map((value) => ({ type: 2, value })),
+          ...addresses.map((ip) => ({ type: 7, ip })),
+        ],
+      },
+    ],
+  });
+
+  mkdirSync(dirname(files.cert), { recursive: true });
+  writeFileSync(files.key, pems.private, { mode: 0o600 });
+  writeFileSync(files.cert, pems.cert);
+  console.log(`Generated a self-signed certificate for ${[...names, ...addresses].join(", ")}`);
+  console.log(`  ${files.cert}`);
+}
+
+// Read the certificate and key for https.createServer
+export function readCertificate(options) {
+  const files = certificateFiles(options);
+  return { cert: readFileSync(files.cert), key: readFileSync(files.key) };
+}
+
+// Reload the certificate into `server` whenever its files change, e.g. after
+// a renewal. A certificate that fails to load leaves the old one in place.
+export function watchCertificate(server, options) {
+  const files = certificateFiles(options);
+  let timer = null;
+
+  function reload() {
+    clearTimeout(timer);
+    // Let a renewal finish writing both files first
+    timer = setTimeout(() => {
+      try {
+        server.setSecureContext(readCertificate(options));
+        console.log(`Reloaded TLS certificate from ${files.cert}`);
+      } catch (error) {
+        console.error(`Failed to reload TLS certificate: ${error.message}`);
+      }
+    }, 500);
+  }
+
+  for (const file of [files.cert, files.key]) {
+    watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, reload);
+  }
+  return () => {
+    clearTimeout(timer);
+    for (const file of [files.cert, files.key]) unwatchFile(file, reload);
+  };
+}
+
+// A plain HTTP server that sends every request to the same URL over HTTPS
+// on `httpsPort`
+export function createRedirectServer(httpsPort) {
+  return createServer((req, res) => {
+    const host = (req.headers.host || "localhost").replace(/:\d+$/, "");
+    const port = httpsPort === 443 ? "" : `:${httpsPort}`;
+    res.writeHead(308, { Location: `https://${host}${port}${req.url}` });
+    res.end();
+  });
+}